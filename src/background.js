@@ -1,11 +1,182 @@
+// URL正規化ルール・サイト別設定（content.js / popup.js と共有）とメモリ内インデックス用のBloomフィルタ
+importScripts(
+  'url-rules.js', 'site-rules.js', 'bloom-filter.js', 'exporters.js', 'backup-settings.js', 'backup-crypto.js',
+  'device-sync-settings.js', 'device-sync-backends.js'
+);
+
 // IndexedDB設定
 const DB_NAME = 'PermaRecallDB';
-const DB_VERSION = 1;
+const DB_VERSION = 4;
 const STORE_NAME = 'VisitedLinks';
 
+// Chrome履歴の保持期間（これより古い履歴は取得できない）
+const HISTORY_RETENTION = 90 * 24 * 60 * 60 * 1000;
+
+// 差分同期のアラーム名と実行間隔（分）
+const HISTORY_SYNC_ALARM = 'historySync';
+const HISTORY_SYNC_PERIOD_MINUTES = 60;
+
+// 直前に同期済みの場合は起動時の同期を省略する間隔
+const HISTORY_SYNC_MIN_INTERVAL = 5 * 60 * 1000;
+
+// 差分同期で前回の同期時刻から遡る余裕（同期中の訪問の取りこぼし防止）
+const HISTORY_SYNC_OVERLAP = 60 * 1000;
+
+// 記録元（通常ウィンドウ / シークレットウィンドウ）
+const VISIT_CONTEXT_NORMAL = 'normal';
+const VISIT_CONTEXT_INCOGNITO = 'incognito';
+
+// シークレットウィンドウでの訪問の扱い
+// ignore: 記録しない / session: シークレットセッション中のみメモリに保持 / record: 通常通り記録
+const INCOGNITO_POLICIES = ['ignore', 'session', 'record'];
+const DEFAULT_INCOGNITO_POLICY = 'ignore';
+
+// セッション限定の訪問記録の保存キー（chrome.storage.session はディスクに保存されない）
+const INCOGNITO_SESSION_KEY = 'incognitoSessionVisits';
+
+// ページ内リンクの要約と非アクティブなタブへの通知待ちの訪問の保存キー（chrome.storage.session）
+// サービスワーカーが再起動しても、通知先のタブの判定に使えるようにする
+const PAGE_LINKS_SESSION_KEY = 'pageLinkSummaries';
+const DEFERRED_VISITS_SESSION_KEY = 'deferredVisits';
+
+// ページ内リンクの要約を chrome.storage.session に書き込むまでの待ち時間（ミリ秒）
+const PAGE_LINKS_SAVE_DELAY = 1000;
+
+// Chrome履歴からの削除を反映するかどうかの保存キー（オプトイン、既定は反映しない）
+const MIRROR_HISTORY_DELETIONS_KEY = 'mirrorHistoryDeletions';
+
+// コンテキストメニューのID
+const CONTEXT_MENU_MARK_VISITED = 'markAsVisited';
+const CONTEXT_MENU_FORGET_URL = 'forgetUrl';
+const CONTEXT_MENU_FORGET_DOMAIN = 'forgetDomain';
+
+// 削除したURLを個別に通知する上限（超える場合はドメイン単位でリンクを再チェックさせる）
+const FORGET_NOTIFY_MAX_URLS = 500;
+
+// メモリ内インデックスの最小容量（件数）
+const URL_INDEX_MIN_CAPACITY = 10000;
+
+// インポートのチェックポイントの保存キー
+const IMPORT_CHECKPOINT_KEY = 'importCheckpoint';
+
+// インポート時に1トランザクションで保存する件数
+const IMPORT_BATCH_SIZE = 500;
+
+// 同じURLへの訪問をまとめて1回と数える間隔（history.onVisited と tabs.onUpdated の重複対策）
+const VISIT_DEDUP_WINDOW = 5000;
+
+// 自動バックアップのアラーム名
+const BACKUP_ALARM = 'scheduledBackup';
+
+// 自動バックアップの一覧（古いものの削除に使用）と最終バックアップ日時の保存キー
+const BACKUP_LOG_KEY = 'backupLog';
+const LAST_BACKUP_TIME_KEY = 'lastBackupTime';
+
+// 予定日時を過ぎていた場合（ブラウザの終了中など）に実行するまでの待ち時間（分）
+const BACKUP_CATCH_UP_DELAY_MINUTES = 1;
+
+// バックアップに失敗した場合に再試行するまでの待ち時間（分）
+const BACKUP_RETRY_DELAY_MINUTES = 60;
+
+// バックアップのファイルを作成するオフスクリーンドキュメント
+// サービスワーカーでは URL.createObjectURL() を使用できず、data: URL は長さの上限があるため
+const OFFSCREEN_DOCUMENT_PATH = 'offscreen.html';
+
+// 端末間の同期のアラーム名と間隔（分）
+const DEVICE_SYNC_ALARM = 'deviceSync';
+const DEVICE_SYNC_PERIOD_MINUTES = 30;
+
+// 端末間の同期の状態・端末ID・他の端末から受け取ったURLのハッシュの保存キー
+const DEVICE_SYNC_STATE_KEY = 'deviceSyncState';
+const DEVICE_SYNC_ID_KEY = 'deviceSyncId';
+const SYNCED_DIGESTS_KEY = 'syncedDigests';
+
+// 他の端末から受け取ったURLのハッシュの最大件数（超えた分は最終訪問の古いものから削除）
+const SYNCED_DIGESTS_MAX = 20000;
+
+// 計算済みのURLのハッシュを保持する最大件数（超えた分は使われていない古いものから削除）
+const SYNC_DIGEST_CACHE_MAX = 5000;
+
+// プライバシーモードの保存キー（{ enabled, salt, migrating }）
+const PRIVACY_MODE_KEY = 'privacyMode';
+
+// プライバシーモードで保存するキー・ドメインの接頭辞（平文のURLと区別する）
+const PRIVATE_KEY_PREFIX = 'h:';
+
+// プライバシーモードのソルトの長さ（バイト）
+const PRIVACY_SALT_LENGTH = 32;
+
+// プライバシーモードへの移行で1トランザクションで置き換えるレコード数
+const PRIVACY_MIGRATION_BATCH_SIZE = 500;
+
 let db = null;
 let dbInitPromise = null; // DB初期化のPromiseを保持
 
+// 正規化ルールのキャッシュ
+let urlRules = null;
+
+// サイト別設定のキャッシュ
+let siteRules = null;
+
+// キー付け替え処理のPromise（多重実行防止）
+let rekeyPromise = null;
+
+// 訪問済みURLのメモリ内インデックス（Bloomフィルタ）
+// 構築が完了するまでは null で、その間のチェックは全て IndexedDB で行う
+let urlIndex = null;
+
+// 構築中のインデックス（構築中に追加されたキーも反映する）
+let urlIndexBuilding = null;
+
+// 訪問済みドメイン（正規化済みURLのホスト名）のメモリ内インデックス
+// URLのインデックスと同時に構築し、削除されたドメインが残る可能性があるため一致時は IndexedDB で確認する
+let domainIndex = null;
+let domainIndexBuilding = null;
+
+// 構築中に再構築が要求されたかどうか
+let urlIndexRebuildPending = false;
+
+// シークレットセッション中の訪問（正規化済みURL -> 最終訪問日時）
+// サービスワーカーの再起動に備えて chrome.storage.session にも保存する
+let incognitoSessionVisits = null;
+
+// ページ内リンクの要約と通知待ちの訪問（chrome.storage.session から読み込むPromise）
+// summaries: タブID -> フレームID -> リンクのURL・ドメインのハッシュ（null は内容が不明）
+// deferred: タブID -> 通知待ちのURL
+let pageLinkStatePromise = null;
+let pageLinkSaveTimeoutId = null;
+
+// 差分同期処理のPromise（多重実行防止）
+let syncPromise = null;
+
+// バックアップ処理のPromise（多重実行防止）
+let backupPromise = null;
+
+// 端末間の同期処理のPromise（多重実行防止）
+let deviceSyncPromise = null;
+
+// 他の端末から受け取ったURLのハッシュ（ハッシュ -> { firstVisit, lastVisit, syncedVisits }）
+// chrome.storage.sync のバックエンドはURLを共有しないため、リンクのチェック時にハッシュで照合する
+let syncedDigests = null;
+
+// 計算済みのURLのハッシュ（正規化済みURL -> ハッシュ、挿入順を使用順として扱う）
+// リンクのチェックのたびに同じURLのハッシュを計算し直さないようにする
+const syncDigestCache = new Map();
+
+// プライバシーモードのハッシュの鍵（null: 未読み込み / false: 無効）
+let privacyKey = null;
+
+// プライバシーモードの切り替え・移行処理のPromise（多重実行防止）
+let privacyModePromise = null;
+
+// 暗号化したエクスポート・インポートの途中の状態（ID -> { key, headerText, index, timer }）
+// 鍵を毎回導出しないよう、チャンクごとの呼び出しの間はメモリ上に保持する
+const backupCryptoSessions = new Map();
+
+// 暗号化したエクスポート・インポートの途中の状態を破棄するまでの時間（最後の呼び出しから）
+// 中断やポップアップを閉じた場合に鍵がメモリ上に残り続けないようにする
+const BACKUP_CRYPTO_SESSION_TTL = 5 * 60 * 1000;
+
 // インポート進行状況を追跡
 let importProgress = {
   inProgress: false,
@@ -37,12 +208,39 @@ function initDB() {
 
     request.onupgradeneeded = (event) => {
       const database = event.target.result;
+      let objectStore;
 
       // オブジェクトストアが存在しない場合は作成
       if (!database.objectStoreNames.contains(STORE_NAME)) {
-        const objectStore = database.createObjectStore(STORE_NAME, { keyPath: 'url' });
+        objectStore = database.createObjectStore(STORE_NAME, { keyPath: 'url' });
         objectStore.createIndex('url', 'url', { unique: true });
         console.log('ObjectStore created:', STORE_NAME);
+      } else {
+        objectStore = event.target.transaction.objectStore(STORE_NAME);
+      }
+
+      // v2: 初回・最終訪問日時と訪問回数を追加
+      if (event.oldVersion < 2) {
+        objectStore.createIndex('firstVisit', 'firstVisit');
+        objectStore.createIndex('lastVisit', 'lastVisit');
+      }
+
+      // v3: ドメインでの絞り込み用インデックスを追加
+      if (event.oldVersion < 3) {
+        objectStore.createIndex('domain', 'domain');
+        objectStore.createIndex('domain_firstVisit', ['domain', 'firstVisit']);
+        objectStore.createIndex('domain_lastVisit', ['domain', 'lastVisit']);
+      }
+
+      // 既存レコードを最新の形式に変換（全バージョン分をまとめて1回の走査で行う）
+      if (event.oldVersion > 0) {
+        const cursorRequest = objectStore.openCursor();
+        cursorRequest.onsuccess = () => {
+          const cursor = cursorRequest.result;
+          if (!cursor) return;
+          cursor.update(upgradeVisitRecord(cursor.value));
+          cursor.continue();
+        };
       }
     };
   });
@@ -50,181 +248,270 @@ function initDB() {
   return dbInitPromise;
 }
 
-// URLをIndexedDBに追加
-async function addUrlToDB(url) {
-  // DBが初期化されていない場合は初期化を待つ
-  if (!db) {
-    try {
-      await initDB();
-    } catch (error) {
-      throw new Error('Failed to initialize database: ' + error.message);
-    }
+// 正規化ルールを取得（未読み込みの場合はストレージから読み込む）
+async function getUrlRules() {
+  if (!urlRules) {
+    urlRules = await loadUrlRules();
   }
+  return urlRules;
+}
 
-  return new Promise((resolve, reject) => {
-    try {
-      const transaction = db.transaction([STORE_NAME], 'readwrite');
-      const store = transaction.objectStore(STORE_NAME);
-      const request = store.put({ url: url, timestamp: Date.now() });
+// サイト別設定を取得（未読み込みの場合はストレージから読み込む）
+async function getSiteRules() {
+  if (!siteRules) {
+    siteRules = await loadSiteRules();
+  }
+  return siteRules;
+}
 
-      request.onsuccess = () => resolve();
-      request.onerror = () => reject(request.error);
-    } catch (error) {
-      reject(error);
-    }
-  });
+// 保存キーとして使うURLに正規化
+async function normalizeUrl(url) {
+  return applyUrlRules(url, await getUrlRules());
 }
 
-// URLがIndexedDBに存在するかチェック
-async function checkUrlInDB(url) {
-  // DBが初期化されていない場合は初期化を待つ
-  if (!db) {
-    try {
-      await initDB();
-    } catch (error) {
-      throw new Error('Failed to initialize database: ' + error.message);
-    }
+// プライバシーモードのハッシュの鍵を取得（無効の場合は false）
+// ソルトをHMAC-SHA-256の鍵にするため、ソルトがなければ既知のURLのハッシュと照合できない
+async function getPrivacyKey() {
+  if (privacyKey === null) {
+    const result = await chrome.storage.local.get([PRIVACY_MODE_KEY]);
+    const mode = result[PRIVACY_MODE_KEY];
+    privacyKey = mode?.enabled && mode.salt
+      ? await crypto.subtle.importKey(
+          'raw', base64ToBytes(mode.salt), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+        )
+      : false;
   }
+  return privacyKey;
+}
 
-  return new Promise((resolve, reject) => {
-    try {
-      const transaction = db.transaction([STORE_NAME], 'readonly');
-      const store = transaction.objectStore(STORE_NAME);
-      const request = store.get(url);
-
-      request.onsuccess = () => {
-        resolve(!!request.result);
-      };
-      request.onerror = () => reject(request.error);
-    } catch (error) {
-      reject(error);
-    }
-  });
+// プライバシーモードのハッシュ（HMAC-SHA-256のBase64）
+async function hashPrivateValue(key, value) {
+  const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(value));
+  return PRIVATE_KEY_PREFIX + bytesToBase64(new Uint8Array(signature));
 }
 
-// 履歴から一括でURLを取得してDBに保存
-async function importHistoryToDB() {
-  try {
-    console.log('Starting history import...');
-    importProgress.inProgress = true;
-    importProgress.imported = 0;
+// プライバシーモードで保存したキー・ドメインか
+function isPrivateKey(key) {
+  return key.startsWith(PRIVATE_KEY_PREFIX);
+}
 
-    // 90日分の履歴を取得（ミリ秒単位）
-    const ninetyDaysAgo = Date.now() - (90 * 24 * 60 * 60 * 1000);
+// 正規化済みURLを保存キーに変換（プライバシーモードではハッシュ）
+async function toStoredKeys(keys) {
+  const key = await getPrivacyKey();
+  return key ? Promise.all(keys.map(url => hashPrivateValue(key, url))) : keys;
+}
 
-    const historyItems = await chrome.history.search({
-      text: '',
-      startTime: ninetyDaysAgo,
-      maxResults: 0 // 0は制限なしを意味する
-    });
+// ドメインを保存する値に変換（プライバシーモードではハッシュ、URLのハッシュと区別するため接頭辞を付ける）
+async function toStoredDomains(domains) {
+  const key = await getPrivacyKey();
+  return key
+    ? Promise.all(domains.map(domain => domain ? hashPrivateValue(key, 'domain:' + domain) : ''))
+    : domains;
+}
 
-    importProgress.total = historyItems.length;
-    console.log(`Found ${historyItems.length} history items`);
+// レコードを保存する形式に変換（プライバシーモードではURL・ドメインをハッシュにし、タイトルは保存しない）
+async function toStoredRecords(records) {
+  if (!await getPrivacyKey()) {
+    return records;
+  }
 
-    // バッチ処理で追加
-    const batchSize = 100;
-    for (let i = 0; i < historyItems.length; i += batchSize) {
-      const batch = historyItems.slice(i, i + batchSize);
-      await Promise.all(
-        batch.map(item => addUrlToDB(item.url).catch(err => {
-          console.warn('Failed to add URL:', item.url, err);
-        }))
-      );
+  const keys = await toStoredKeys(records.map(record => record.url));
+  const domains = await toStoredDomains(records.map(record => record.domain));
+  return records.map((record, i) => ({ ...record, url: keys[i], domain: domains[i], title: '' }));
+}
 
-      importProgress.imported = Math.min(i + batchSize, historyItems.length);
+// プライバシーモードでは使用できない機能のエラー（応答の errorCode で種類を伝える）
+function createPrivacyModeError(feature) {
+  const error = new Error(`${feature} is not available in privacy mode`);
+  error.code = 'privacyMode';
+  return error;
+}
 
-      if ((i + batchSize) % 1000 === 0) {
-        console.log(`Imported ${i + batchSize} URLs...`);
-      }
-    }
+// プライバシーモードの場合はエラー（URLの平文が必要な機能の前に確認）
+async function assertNotPrivacyMode(feature) {
+  if (await getPrivacyKey()) {
+    throw createPrivacyModeError(feature);
+  }
+}
 
-    console.log('History import completed');
+// 訪問レコードを作成
+// { url, domain, firstVisit, lastVisit, visitCount, title, context }
+// context: 記録元（'normal': 通常ウィンドウ / 'incognito': シークレットウィンドウのみ）
+// protected: true の場合はChrome履歴からの削除を反映しない（履歴ブラウザで設定、省略時は保護なし）
+function createVisitRecord(url, { firstVisit, lastVisit, visitCount, title, context } = {}) {
+  const now = Date.now();
+  const last = lastVisit || firstVisit || now;
+  return {
+    url,
+    domain: getUrlDomain(url),
+    firstVisit: Math.min(firstVisit || last, last),
+    lastVisit: last,
+    visitCount: Math.max(visitCount || 1, 1),
+    title: title || '',
+    context: context === VISIT_CONTEXT_INCOGNITO ? VISIT_CONTEXT_INCOGNITO : VISIT_CONTEXT_NORMAL
+  };
+}
 
-    // インポート完了フラグを保存
-    await chrome.storage.local.set({
-      historyImported: true,
-      lastImportTime: Date.now()
+// 旧形式のレコードを最新の形式に変換
+// v1: {url, timestamp} / v2: domain なし / v3: context なし（全て通常ウィンドウでの記録）
+function upgradeVisitRecord(record) {
+  let upgraded = record;
+  if (!upgraded.lastVisit) {
+    upgraded = createVisitRecord(upgraded.url, {
+      firstVisit: upgraded.timestamp,
+      lastVisit: upgraded.timestamp
     });
-
-    importProgress.inProgress = false;
-  } catch (error) {
-    console.error('Error importing history:', error);
-    importProgress.inProgress = false;
-    throw error;
   }
+  if (upgraded.domain === undefined) {
+    upgraded = { ...upgraded, domain: getUrlDomain(upgraded.url) };
+  }
+  if (upgraded.context === undefined) {
+    upgraded = { ...upgraded, context: VISIT_CONTEXT_NORMAL };
+  }
+  return upgraded;
 }
 
-// 初期化処理
-async function initialize() {
-  try {
-    await initDB();
-
-    // 初回起動かどうかをチェック
-    const result = await chrome.storage.local.get(['historyImported']);
+// 記録元を統合（一度でも通常ウィンドウで訪問していれば 'normal'）
+function mergeVisitContext(a, b) {
+  return a === VISIT_CONTEXT_INCOGNITO && b === VISIT_CONTEXT_INCOGNITO
+    ? VISIT_CONTEXT_INCOGNITO
+    : VISIT_CONTEXT_NORMAL;
+}
 
-    if (!result.historyImported) {
-      console.log('First run detected, importing history...');
-      await importHistoryToDB();
-    } else {
-      console.log('History already imported');
-    }
-  } catch (error) {
-    console.error('Initialization error:', error);
-  }
+// 他の端末での訪問回数の合計
+// syncedVisits: 端末ID -> その端末での訪問回数（端末間の同期で受け取った値）
+function sumSyncedVisits(syncedVisits) {
+  return Object.values(syncedVisits || {}).reduce((sum, count) => sum + count, 0);
 }
 
-// 拡張機能インストール時
-chrome.runtime.onInstalled.addListener(() => {
-  console.log('Extension installed/updated');
-  initialize();
-});
+// この端末での訪問回数（訪問回数から他の端末での訪問回数を除いた値）
+function getLocalVisitCount(record) {
+  return Math.max((record.visitCount || 1) - sumSyncedVisits(record.syncedVisits), 0);
+}
 
-// サービスワーカー起動時
-initialize();
+// 他の端末での訪問回数を統合（端末ごとに大きい方を採用するため、同じ差分を何度受け取っても変わらない）
+function mergeSyncedVisits(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  const merged = { ...a };
+  Object.entries(b).forEach(([device, count]) => {
+    merged[device] = Math.max(merged[device] || 0, count);
+  });
+  return merged;
+}
 
-// URLを処理してDBに追加し、タブに通知する共通関数
-async function processVisitedUrl(url) {
-  if (!url) return;
+// 同じキーに集約されるレコードを統合（訪問回数は合算）
+// 他の端末での訪問回数は二重に数えないよう、端末ごとに統合してから合算する
+// ドメインは保存済みの値を使う（プライバシーモードのキーはハッシュのため、キーからは求められない）
+function mergeVisitRecords(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  const newer = (b.lastVisit || 0) >= (a.lastVisit || 0) ? b : a;
+  const older = newer === b ? a : b;
+  const syncedVisits = mergeSyncedVisits(a.syncedVisits, b.syncedVisits);
+  return {
+    ...a,
+    url: b.url,
+    domain: b.domain || a.domain || '',
+    firstVisit: Math.min(a.firstVisit || a.lastVisit, b.firstVisit || b.lastVisit),
+    lastVisit: newer.lastVisit,
+    visitCount: getLocalVisitCount(a) + getLocalVisitCount(b) + sumSyncedVisits(syncedVisits),
+    title: newer.title || older.title || '',
+    context: mergeVisitContext(a.context, b.context),
+    protected: !!(a.protected || b.protected),
+    ...(syncedVisits && { syncedVisits })
+  };
+}
 
-  try {
-    await addUrlToDB(url);
+// 他の端末の訪問を既存レコードに反映
+// 初回訪問は早い方、最終訪問は新しい方、タイトルは最終訪問が新しい方を採用し、
+// 訪問回数は端末ごとの回数（G-Counter）として統合するため、受け取る順序や回数によらず同じ結果になる
+function mergeSyncedRecord(existing, synced, device, count) {
+  const record = existing || { ...synced, visitCount: 0, syncedVisits: {} };
+  const previous = record.syncedVisits?.[device] || 0;
+  const isNewer = synced.lastVisit > record.lastVisit;
+  return {
+    ...record,
+    firstVisit: Math.min(record.firstVisit, synced.firstVisit),
+    lastVisit: Math.max(record.lastVisit, synced.lastVisit),
+    visitCount: record.visitCount + Math.max(count - previous, 0),
+    title: (isNewer ? synced.title || record.title : record.title || synced.title) || '',
+    syncedVisits: { ...record.syncedVisits, [device]: Math.max(previous, count) }
+  };
+}
 
-    // 全てのタブにURLが訪問済みになったことを通知
-    const tabs = await chrome.tabs.query({});
-    const notifications = tabs.map(tab =>
-      chrome.tabs.sendMessage(tab.id, {
-        action: 'markUrlAsVisited',
-        url: url
-      }).catch(() => {
-        // タブがコンテンツスクリプトを持っていない場合はエラーを無視
-      })
-    );
-    await Promise.all(notifications);
-  } catch (err) {
-    console.error('Failed to process visited URL:', url, err);
+// 既存レコードに新しい訪問を記録
+function recordVisit(existing, url, title, time, context) {
+  if (!existing) {
+    return createVisitRecord(url, { firstVisit: time, lastVisit: time, title, context });
   }
+
+  // 直前の訪問と同一とみなせる場合は回数を増やさない
+  const isDuplicate = time - existing.lastVisit < VISIT_DEDUP_WINDOW;
+  return {
+    ...existing,
+    lastVisit: Math.max(existing.lastVisit, time),
+    visitCount: isDuplicate ? existing.visitCount : existing.visitCount + 1,
+    title: title || existing.title || '',
+    context: mergeVisitContext(existing.context, context)
+  };
 }
 
-// 新しい履歴アイテムをリアルタイムで追加
-chrome.history.onVisited.addListener((historyItem) => {
-  if (historyItem.url) {
-    processVisitedUrl(historyItem.url);
-  }
-});
+// chrome.history の履歴アイテムをレコードに変換
+function historyItemToRecord(url, item) {
+  return createVisitRecord(url, {
+    lastVisit: item.lastVisitTime,
+    visitCount: item.visitCount,
+    title: item.title
+  });
+}
 
-// タブの更新を監視してバックグラウンドで開かれたタブも処理
-chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
-  // ページの読み込みが完了し、有効なURLがある場合のみ処理
-  if (changeInfo.status === 'complete' && changeInfo.url &&
-      !changeInfo.url.startsWith('chrome://') &&
-      !changeInfo.url.startsWith('chrome-extension://') &&
-      !changeInfo.url.startsWith('about:')) {
-    processVisitedUrl(changeInfo.url);
+// インポートしたレコードを既存レコードに反映
+// 再インポートで回数が二重に数えられないよう、訪問回数は大きい方を採用する
+function mergeImportedRecord(existing, imported) {
+  if (!existing) {
+    return imported;
   }
-});
 
-// DB内のURL数を取得
-async function getUrlCount() {
+  const isNewer = imported.lastVisit >= existing.lastVisit;
+  return {
+    ...existing,
+    firstVisit: Math.min(existing.firstVisit, imported.firstVisit),
+    lastVisit: Math.max(existing.lastVisit, imported.lastVisit),
+    visitCount: Math.max(existing.visitCount, imported.visitCount),
+    title: (isNewer ? imported.title || existing.title : existing.title || imported.title) || '',
+    context: mergeVisitContext(existing.context, imported.context)
+  };
+}
+
+// 既存レコードを読み込み、更新関数の結果で上書き（1トランザクション）
+function updateRecordInDB(key, update) {
+  return new Promise((resolve, reject) => {
+    try {
+      const transaction = db.transaction([STORE_NAME], 'readwrite');
+      const store = transaction.objectStore(STORE_NAME);
+      const getRequest = store.get(key);
+      let record = null;
+
+      getRequest.onsuccess = () => {
+        record = update(getRequest.result);
+        store.put(record);
+      };
+
+      transaction.oncomplete = () => {
+        addKeysToUrlIndex([key]);
+        resolve(record);
+      };
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+// URLをIndexedDBに追加（訪問を記録）
+async function addUrlToDB(url, title, context = VISIT_CONTEXT_NORMAL) {
   // DBが初期化されていない場合は初期化を待つ
   if (!db) {
     try {
@@ -234,22 +521,47 @@ async function getUrlCount() {
     }
   }
 
+  const normalizedUrl = await normalizeUrl(url);
+  const now = Date.now();
+  const [stored] = await toStoredRecords([createVisitRecord(normalizedUrl, { title })]);
+
+  return updateRecordInDB(stored.url, existing => ({
+    ...recordVisit(existing, normalizedUrl, stored.title, now, context),
+    url: stored.url,
+    domain: stored.domain
+  }));
+}
+
+// 複数のレコードを既存レコードと統合して1トランザクションで保存
+// records のキー（url）は重複していないこと（プライバシーモードではハッシュに変換して保存する）
+async function mergeRecordsInDB(records, merge) {
+  const storedRecords = await toStoredRecords(records);
   return new Promise((resolve, reject) => {
     try {
-      const transaction = db.transaction([STORE_NAME], 'readonly');
+      const transaction = db.transaction([STORE_NAME], 'readwrite');
       const store = transaction.objectStore(STORE_NAME);
-      const request = store.count();
 
-      request.onsuccess = () => resolve(request.result);
-      request.onerror = () => reject(request.error);
+      storedRecords.forEach(record => {
+        const getRequest = store.get(record.url);
+        getRequest.onsuccess = () => {
+          store.put(merge(getRequest.result, record));
+        };
+      });
+
+      transaction.oncomplete = () => {
+        addKeysToUrlIndex(storedRecords.map(record => record.url));
+        resolve();
+      };
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
     } catch (error) {
       reject(error);
     }
   });
 }
 
-// DBをクリア
-async function clearAllUrls() {
+// chrome.history の履歴アイテムをまとめてIndexedDBに追加
+async function addHistoryItemsToDB(items) {
   // DBが初期化されていない場合は初期化を待つ
   if (!db) {
     try {
@@ -259,22 +571,59 @@ async function clearAllUrls() {
     }
   }
 
-  return new Promise((resolve, reject) => {
-    try {
-      const transaction = db.transaction([STORE_NAME], 'readwrite');
-      const store = transaction.objectStore(STORE_NAME);
-      const request = store.clear();
+  // 正規化後に同じキーになるアイテムを先に統合（記録しないサイトは除外）
+  const rules = await getUrlRules();
+  const recordRules = await getSiteRules();
+  const records = new Map();
+  items.filter(item => shouldRecordUrl(item.url, recordRules)).forEach(item => {
+    const normalizedUrl = applyUrlRules(item.url, rules);
+    records.set(normalizedUrl, mergeImportedRecord(
+      records.get(normalizedUrl),
+      historyItemToRecord(normalizedUrl, item)
+    ));
+  });
 
-      request.onsuccess = () => resolve();
-      request.onerror = () => reject(request.error);
+  return mergeRecordsInDB([...records.values()], mergeImportedRecord);
+}
+
+// 他のブラウザ・ツールからインポートしたレコードを既存レコードと統合して保存
+// records: [{ url, title, firstVisit, lastVisit, visitCount }]（popup の importers.js で変換済み）
+// 記録しないサイトと http / https 以外のURLは除外する
+async function importRecordsToDB(records) {
+  // DBが初期化されていない場合は初期化を待つ
+  if (!db) {
+    try {
+      await initDB();
     } catch (error) {
-      reject(error);
+      throw new Error('Failed to initialize database: ' + error.message);
+    }
+  }
+
+  // 正規化後に同じキーになるレコードを先に統合
+  const rules = await getUrlRules();
+  const recordRules = await getSiteRules();
+  const merged = new Map();
+  let skipped = 0;
+  records.forEach(item => {
+    if (!/^https?:\/\//i.test(item?.url || '') || !shouldRecordUrl(item.url, recordRules)) {
+      skipped++;
+      return;
     }
+    const normalizedUrl = applyUrlRules(item.url, rules);
+    merged.set(normalizedUrl, mergeImportedRecord(
+      merged.get(normalizedUrl),
+      createVisitRecord(normalizedUrl, item)
+    ));
   });
+
+  await mergeRecordsInDB([...merged.values()], mergeImportedRecord);
+  return { imported: records.length - skipped, skipped };
 }
 
-// 全URLを取得
-async function getAllUrls() {
+// 複数URLのレコードを一括で取得（見つからないURLは null）
+// Bloomフィルタで未訪問と確定したURLはDBを参照せず、残りを1トランザクションで確認する
+// プライバシーモードではURLをハッシュにして照合し、レコードのURL・ドメインは問い合わせたURLのものを返す
+async function lookupUrlsInDB(urls) {
   // DBが初期化されていない場合は初期化を待つ
   if (!db) {
     try {
@@ -284,98 +633,2443 @@ async function getAllUrls() {
     }
   }
 
+  const rules = await getUrlRules();
+  const keys = urls.map(url => applyUrlRules(url, rules));
+  const storedKeys = await toStoredKeys(keys);
+  const records = new Array(urls.length).fill(null);
+
+  const candidates = [];
+  storedKeys.forEach((key, i) => {
+    if (!urlIndex || bloomHas(urlIndex, key)) {
+      candidates.push(i);
+    }
+  });
+
+  if (candidates.length === 0) {
+    return records;
+  }
+
   return new Promise((resolve, reject) => {
     try {
       const transaction = db.transaction([STORE_NAME], 'readonly');
       const store = transaction.objectStore(STORE_NAME);
-      const request = store.getAll();
 
-      request.onsuccess = () => resolve(request.result);
-      request.onerror = () => reject(request.error);
+      candidates.forEach(i => {
+        const request = store.get(storedKeys[i]);
+        request.onsuccess = () => {
+          const record = request.result;
+          records[i] = record ? { ...record, url: keys[i], domain: getUrlDomain(keys[i]) } : null;
+        };
+      });
+
+      transaction.oncomplete = () => resolve(records);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
     } catch (error) {
       reject(error);
     }
   });
 }
 
-// 履歴をTSV形式でエクスポート
-async function exportHistoryToTSV() {
-  try {
-    const allUrls = await getAllUrls();
+// 複数URLのレコードを取得（シークレットタブからの問い合わせではセッション限定の訪問も含める）
+// 見つからないURLは、他の端末から受け取ったURLのハッシュとも照合する
+async function lookupUrls(urls, { incognito = false } = {}) {
+  const records = await lookupSyncedDigests(urls, await lookupUrlsInDB(urls));
+  if (!incognito) {
+    return records;
+  }
 
-    // TSVヘッダー
-    let tsvContent = 'url\ttimestamp\n';
+  const sessionVisits = await getIncognitoSessionVisits();
+  if (sessionVisits.size === 0) {
+    return records;
+  }
 
-    // 各URLをTSV形式で追加
-    allUrls.forEach(item => {
-      // タブ、改行を含む場合はエスケープ
-      const url = item.url.replace(/\t/g, '\\t').replace(/\n/g, '\\n').replace(/\r/g, '\\r');
-      tsvContent += `${url}\t${item.timestamp}\n`;
-    });
+  const rules = await getUrlRules();
+  return records.map((record, i) => {
+    if (record) return record;
+    const key = applyUrlRules(urls[i], rules);
+    const lastVisit = sessionVisits.get(key);
+    return lastVisit
+      ? createVisitRecord(key, { lastVisit, context: VISIT_CONTEXT_INCOGNITO })
+      : null;
+  });
+}
 
-    console.log(`Exported ${allUrls.length} URLs to TSV`);
-    return tsvContent;
-  } catch (error) {
-    console.error('Error exporting history to TSV:', error);
-    throw error;
+// 他の端末から受け取ったURLのハッシュを取得
+async function getSyncedDigests() {
+  if (!syncedDigests) {
+    const result = await chrome.storage.local.get([SYNCED_DIGESTS_KEY]);
+    syncedDigests = new Map(Object.entries(result[SYNCED_DIGESTS_KEY] || {}));
   }
+  return syncedDigests;
 }
 
-// TSV形式から履歴をインポート
-async function importHistoryFromTSV(tsvData) {
-  try {
-    const lines = tsvData.split('\n');
-    let imported = 0;
-    let errors = 0;
-
-    // ヘッダー行をスキップ
-    for (let i = 1; i < lines.length; i++) {
-      const line = lines[i].trim();
-      if (!line) continue;
-
-      const parts = line.split('\t');
-      if (parts.length < 2) {
-        errors++;
-        console.warn(`Invalid line ${i}: ${line}`);
-        continue;
-      }
+// 他の端末から受け取ったURLのハッシュを保存
+async function saveSyncedDigests() {
+  await chrome.storage.local.set({ [SYNCED_DIGESTS_KEY]: Object.fromEntries(syncedDigests) });
+}
 
-      // エスケープされた文字を復元
-      const url = parts[0].replace(/\\t/g, '\t').replace(/\\n/g, '\n').replace(/\\r/g, '\r');
-      const timestamp = parseInt(parts[1], 10);
+// 正規化済みURLのハッシュ（SHA-256の先頭12バイトのBase64）
+// chrome.storage.sync の容量に収まるよう短くする（URLを復元できないよう元のURLは共有しない）
+async function computeSyncDigest(key) {
+  const cached = syncDigestCache.get(key);
+  if (cached) {
+    // 最近使ったものとして末尾に移動
+    syncDigestCache.delete(key);
+    syncDigestCache.set(key, cached);
+    return cached;
+  }
 
-      if (!url || isNaN(timestamp)) {
-        errors++;
-        console.warn(`Invalid data at line ${i}: url=${url}, timestamp=${timestamp}`);
-        continue;
-      }
+  const hash = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(key));
+  const digest = bytesToBase64(new Uint8Array(hash, 0, 12));
+  syncDigestCache.set(key, digest);
+  if (syncDigestCache.size > SYNC_DIGEST_CACHE_MAX) {
+    syncDigestCache.delete(syncDigestCache.keys().next().value);
+  }
+  return digest;
+}
 
-      try {
-        // DBが初期化されていない場合は初期化を待つ
-        if (!db) {
-          await initDB();
-        }
+// 見つからなかったURLを他の端末から受け取ったハッシュと照合し、一致したものはレコードとして返す
+async function lookupSyncedDigests(urls, records) {
+  const digests = await getSyncedDigests();
+  if (digests.size === 0 || records.every(record => record)) {
+    return records;
+  }
 
-        await new Promise((resolve, reject) => {
-          const transaction = db.transaction([STORE_NAME], 'readwrite');
-          const store = transaction.objectStore(STORE_NAME);
-          const request = store.put({ url: url, timestamp: timestamp });
+  const rules = await getUrlRules();
+  return Promise.all(records.map(async (record, i) => {
+    if (record) return record;
+    const key = applyUrlRules(urls[i], rules);
+    const synced = digests.get(await computeSyncDigest(key));
+    return synced
+      ? createVisitRecord(key, {
+          firstVisit: synced.firstVisit,
+          lastVisit: synced.lastVisit,
+          visitCount: sumSyncedVisits(synced.syncedVisits)
+        })
+      : null;
+  }));
+}
+
+// 他の端末から受け取ったURLのハッシュを削除（keys を省略すると全て削除）
+async function removeSyncedDigests(keys) {
+  const digests = await getSyncedDigests();
+  if (digests.size === 0) return;
+
+  if (keys) {
+    for (const key of keys) {
+      digests.delete(await computeSyncDigest(key));
+    }
+  } else {
+    digests.clear();
+  }
+  await saveSyncedDigests();
+}
+
+// 訪問済みのドメインを一括で判定（訪問済みのドメインの Set を返す）
+// メモリ内インデックスにないドメインはDBを参照せず、残りを1トランザクションで確認する
+async function lookupVisitedDomains(domains) {
+  // DBが初期化されていない場合は初期化を待つ
+  if (!db) {
+    try {
+      await initDB();
+    } catch (error) {
+      throw new Error('Failed to initialize database: ' + error.message);
+    }
+  }
+
+  const visited = new Set();
+  const candidates = [...new Set(domains)].filter(domain =>
+    domain && (!domainIndex || domainIndex.has(domain))
+  );
+
+  if (candidates.length === 0) {
+    return visited;
+  }
+
+  // プライバシーモードではドメインもハッシュで照合
+  const storedDomains = await toStoredDomains(candidates);
+
+  return new Promise((resolve, reject) => {
+    try {
+      const transaction = db.transaction([STORE_NAME], 'readonly');
+      const index = transaction.objectStore(STORE_NAME).index('domain');
+
+      candidates.forEach((domain, i) => {
+        const request = index.getKey(storedDomains[i]);
+        request.onsuccess = () => {
+          if (request.result !== undefined) {
+            visited.add(domain);
+          }
+        };
+      });
+
+      transaction.oncomplete = () => resolve(visited);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+// リンクの訪問状況を一括で判定
+// isVisited: ページ自体を訪問済み / domainVisited: 同じドメインのページを訪問済み / lastVisit: ページの最終訪問日時
+async function lookupLinks(urls, { incognito = false } = {}) {
+  const records = await lookupUrls(urls, { incognito });
+  const rules = await getUrlRules();
+  const domains = urls.map(url => getUrlDomain(applyUrlRules(url, rules)));
+
+  // ページ自体が未訪問のリンクのみドメインを確認
+  const visitedDomains = new Set(records
+    .filter(record => record)
+    .map(record => record.domain));
+  const uncheckedDomains = domains.filter((domain, i) => !records[i] && !visitedDomains.has(domain));
+  (await lookupVisitedDomains(uncheckedDomains)).forEach(domain => visitedDomains.add(domain));
+
+  // シークレットタブではセッション限定の訪問のドメインも含める
+  if (incognito) {
+    const sessionVisits = await getIncognitoSessionVisits();
+    sessionVisits.forEach((lastVisit, key) => visitedDomains.add(getUrlDomain(key)));
+  }
+
+  return urls.map((url, i) => ({
+    url,
+    isVisited: !!records[i],
+    domainVisited: !!records[i] || visitedDomains.has(domains[i]),
+    lastVisit: records[i]?.lastVisit || null
+  }));
+}
+
+// セッション限定の訪問記録を取得（サービスワーカーの再起動後は storage.session から復元）
+async function getIncognitoSessionVisits() {
+  if (!incognitoSessionVisits) {
+    const result = await chrome.storage.session.get([INCOGNITO_SESSION_KEY]);
+    incognitoSessionVisits = new Map(Object.entries(result[INCOGNITO_SESSION_KEY] || {}));
+  }
+  return incognitoSessionVisits;
+}
+
+// セッション限定で訪問を記録
+async function addIncognitoSessionVisit(url) {
+  const sessionVisits = await getIncognitoSessionVisits();
+  sessionVisits.set(await normalizeUrl(url), Date.now());
+  await chrome.storage.session.set({
+    [INCOGNITO_SESSION_KEY]: Object.fromEntries(sessionVisits)
+  });
+}
+
+// セッション限定の訪問記録から条件に一致するURLを削除（削除したURLを返す）
+// predicate: (正規化済みURL, 訪問日時) => boolean
+async function removeIncognitoSessionVisits(predicate) {
+  const sessionVisits = await getIncognitoSessionVisits();
+  const keys = [...sessionVisits.entries()]
+    .filter(([key, lastVisit]) => predicate(key, lastVisit))
+    .map(([key]) => key);
+  if (keys.length === 0) return keys;
+
+  keys.forEach(key => sessionVisits.delete(key));
+  await chrome.storage.session.set({
+    [INCOGNITO_SESSION_KEY]: Object.fromEntries(sessionVisits)
+  });
+  return keys;
+}
+
+// セッション限定の訪問記録を破棄
+async function clearIncognitoSessionVisits() {
+  incognitoSessionVisits = new Map();
+  await chrome.storage.session.remove(INCOGNITO_SESSION_KEY);
+  console.log('Incognito session visits discarded');
+}
+
+// ページ内リンクの要約と通知待ちの訪問を取得（サービスワーカーの再起動後は storage.session から復元）
+function getPageLinkState() {
+  if (!pageLinkStatePromise) {
+    pageLinkStatePromise = chrome.storage.session.get([PAGE_LINKS_SESSION_KEY, DEFERRED_VISITS_SESSION_KEY])
+      .then(result => {
+        const summaries = new Map();
+        Object.entries(result[PAGE_LINKS_SESSION_KEY] || {}).forEach(([tabId, frames]) => {
+          summaries.set(Number(tabId), new Map(Object.entries(frames).map(([frameId, hashes]) =>
+            [Number(frameId), hashes ? new Set(hashes) : null]
+          )));
+        });
+
+        const deferred = new Map(Object.entries(result[DEFERRED_VISITS_SESSION_KEY] || {}).map(([tabId, urls]) =>
+          [Number(tabId), new Set(urls)]
+        ));
+
+        return { summaries, deferred };
+      })
+      .catch(error => {
+        pageLinkStatePromise = null;
+        throw error;
+      });
+  }
+  return pageLinkStatePromise;
+}
+
+// ページ内リンクの要約と通知待ちの訪問の保存を予約（頻繁な登録をまとめて書き込む）
+function schedulePageLinkStateSave() {
+  clearTimeout(pageLinkSaveTimeoutId);
+  pageLinkSaveTimeoutId = setTimeout(async () => {
+    try {
+      const { summaries, deferred } = await getPageLinkState();
+      const serializedSummaries = {};
+      summaries.forEach((frames, tabId) => {
+        serializedSummaries[tabId] = {};
+        frames.forEach((hashes, frameId) => {
+          serializedSummaries[tabId][frameId] = hashes ? [...hashes] : null;
+        });
+      });
+
+      const serializedDeferred = {};
+      deferred.forEach((urls, tabId) => {
+        serializedDeferred[tabId] = [...urls];
+      });
+
+      await chrome.storage.session.set({
+        [PAGE_LINKS_SESSION_KEY]: serializedSummaries,
+        [DEFERRED_VISITS_SESSION_KEY]: serializedDeferred
+      });
+    } catch (error) {
+      console.error('Failed to save page link summaries:', error);
+    }
+  }, PAGE_LINKS_SAVE_DELAY);
+}
+
+// コンテンツスクリプトからページ内リンクのハッシュを登録
+// reset: ページの読み込み・正規化ルールの変更時など、フレームの要約を作り直す場合
+async function registerPageLinks(tabId, frameId, hashes, reset) {
+  const { summaries } = await getPageLinkState();
+  if (!summaries.has(tabId)) {
+    summaries.set(tabId, new Map());
+  }
+
+  const frames = summaries.get(tabId);
+  if (reset) {
+    frames.set(frameId, new Set());
+  } else if (!frames.has(frameId)) {
+    // 最初の登録を受け取っていないフレームは内容が不明なため常に通知する
+    frames.set(frameId, null);
+  }
+
+  const frameHashes = frames.get(frameId);
+  if (frameHashes) {
+    hashes.forEach(hash => frameHashes.add(hash));
+  }
+  schedulePageLinkStateSave();
+}
+
+// タブのページ内リンクの要約と通知待ちの訪問を破棄（ページの移動・タブを閉じた場合）
+async function forgetPageLinks(tabId) {
+  const { summaries, deferred } = await getPageLinkState();
+  const hadSummary = summaries.delete(tabId);
+  const hadDeferred = deferred.delete(tabId);
+  if (hadSummary || hadDeferred) {
+    schedulePageLinkStateSave();
+  }
+}
+
+// タブのページに訪問したURL（またはそのドメイン）へのリンクがある可能性があるか
+// 要約を登録していないタブは判定できないため、ある可能性があるものとして扱う
+function pageMayContainLink(frames, hashes) {
+  if (!frames) {
+    return true;
+  }
+  for (const frameHashes of frames.values()) {
+    if (!frameHashes || hashes.some(hash => frameHashes.has(hash))) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// 訪問したURLへのリンクがあるタブにだけ通知
+// 破棄されたタブは再読み込み時にチェックし直すため通知せず、バックグラウンドのタブはアクティブになるまで通知を保留する
+async function notifyTabsOfVisit(url, { incognitoOnly = false } = {}) {
+  const key = await normalizeUrl(url);
+  const hashes = [hashUrlKey(key), hashDomainKey(getUrlDomain(key))];
+  const { summaries, deferred } = await getPageLinkState();
+  const tabs = await chrome.tabs.query({});
+
+  let deferredChanged = false;
+  const notifications = [];
+  tabs.forEach(tab => {
+    // セッション限定の記録は通常ウィンドウのタブには通知しない
+    if (incognitoOnly && !tab.incognito) return;
+    if (tab.discarded) return;
+    if (!pageMayContainLink(summaries.get(tab.id), hashes)) return;
+
+    if (!tab.active) {
+      if (!deferred.has(tab.id)) {
+        deferred.set(tab.id, new Set());
+      }
+      deferred.get(tab.id).add(url);
+      deferredChanged = true;
+      return;
+    }
+
+    notifications.push(
+      chrome.tabs.sendMessage(tab.id, {
+        action: 'markUrlAsVisited',
+        url: url
+      }).catch(() => {
+        // タブがコンテンツスクリプトを持っていない場合はエラーを無視
+      })
+    );
+  });
+
+  if (deferredChanged) {
+    schedulePageLinkStateSave();
+  }
+  await Promise.all(notifications);
+}
+
+// 削除したURL・ドメインへのリンクがあるタブに通知（マークを外してキャッシュを破棄させる）
+// keys: 正規化済みURL / domains: ドメイン
+async function notifyTabsOfForget(keys, domains) {
+  const rules = await getUrlRules();
+  const keySet = new Set(keys);
+  const domainSet = new Set(domains);
+  const isForgotten = url => {
+    const key = applyUrlRules(url, rules);
+    return keySet.has(key) || domainSet.has(getUrlDomain(key));
+  };
+
+  // 保留中の訪問の通知で、削除したURLが再びマークされないようにする
+  const { summaries, deferred } = await getPageLinkState();
+  deferred.forEach((urls, tabId) => {
+    [...urls].filter(isForgotten).forEach(url => urls.delete(url));
+    if (urls.size === 0) {
+      deferred.delete(tabId);
+    }
+  });
+  schedulePageLinkStateSave();
+
+  const hashes = [
+    ...keys.map(hashUrlKey),
+    ...keys.map(key => hashDomainKey(getUrlDomain(key))),
+    ...domains.map(hashDomainKey)
+  ];
+  const tabs = await chrome.tabs.query({});
+  const notifications = tabs
+    .filter(tab => !tab.discarded && pageMayContainLink(summaries.get(tab.id), hashes))
+    .map(tab =>
+      chrome.tabs.sendMessage(tab.id, {
+        action: 'forgetUrls',
+        urls: keys,
+        domains
+      }).catch(() => {
+        // タブがコンテンツスクリプトを持っていない場合はエラーを無視
+      })
+    );
+  await Promise.all(notifications);
+}
+
+// 削除したURLへのリンクがあるタブに通知（件数が多い場合はドメイン単位で再チェックさせる）
+async function notifyTabsOfDeletion(keys) {
+  if (keys.length === 0) return;
+
+  if (keys.length > FORGET_NOTIFY_MAX_URLS) {
+    await notifyTabsOfForget([], [...new Set(keys.map(getUrlDomain))]);
+  } else {
+    await notifyTabsOfForget(keys, []);
+  }
+}
+
+// アクティブになったタブに保留していた訪問をまとめて通知
+async function flushDeferredVisits(tabId) {
+  const { deferred } = await getPageLinkState();
+  const urls = deferred.get(tabId);
+  if (!urls) return;
+
+  deferred.delete(tabId);
+  schedulePageLinkStateSave();
+  await chrome.tabs.sendMessage(tabId, {
+    action: 'markUrlsAsVisited',
+    urls: [...urls]
+  }).catch(() => {
+    // タブがコンテンツスクリプトを持っていない場合はエラーを無視
+  });
+}
+
+// シークレットウィンドウでの訪問の扱いを取得
+async function getIncognitoPolicy() {
+  const result = await chrome.storage.local.get(['incognitoPolicy']);
+  return INCOGNITO_POLICIES.includes(result.incognitoPolicy)
+    ? result.incognitoPolicy
+    : DEFAULT_INCOGNITO_POLICY;
+}
+
+// メモリ内インデックスを IndexedDB のキーから構築
+async function buildUrlIndex() {
+  // DBが初期化されていない場合は初期化を待つ
+  if (!db) {
+    try {
+      await initDB();
+    } catch (error) {
+      throw new Error('Failed to initialize database: ' + error.message);
+    }
+  }
+
+  const count = await getUrlCount();
+  // 増加分を見込んで件数の2倍の容量で作成
+  const filter = createBloomFilter(Math.max(count * 2, URL_INDEX_MIN_CAPACITY));
+  // プライバシーモードではキーからドメインが分からないため、ドメインは毎回DBで確認する
+  const domains = await getPrivacyKey() ? null : new Set();
+  urlIndexBuilding = filter;
+  domainIndexBuilding = domains;
+
+  await new Promise((resolve, reject) => {
+    try {
+      const transaction = db.transaction([STORE_NAME], 'readonly');
+      const store = transaction.objectStore(STORE_NAME);
+      const request = store.openKeyCursor();
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        bloomAdd(filter, cursor.key);
+        domains?.add(getUrlDomain(cursor.key));
+        cursor.continue();
+      };
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    } catch (error) {
+      reject(error);
+    }
+  });
+
+  urlIndex = filter;
+  urlIndexBuilding = null;
+  domainIndex = domains;
+  domainIndexBuilding = null;
+  console.log(`URL index built: ${filter.count} keys, ${domains?.size ?? 0} domains, ${filter.bits.length} bytes`);
+}
+
+// メモリ内インデックスを再構築（構築中の場合は完了後にもう一度構築）
+async function rebuildUrlIndex() {
+  if (urlIndexBuilding) {
+    urlIndexRebuildPending = true;
+    return;
+  }
+
+  try {
+    do {
+      urlIndexRebuildPending = false;
+      await buildUrlIndex();
+    } while (urlIndexRebuildPending);
+  } catch (error) {
+    // 構築に失敗した場合は IndexedDB のみでチェックを続ける
+    console.error('Failed to build URL index:', error);
+    urlIndex = null;
+    urlIndexBuilding = null;
+    domainIndex = null;
+    domainIndexBuilding = null;
+  }
+}
+
+// 保存したキーをメモリ内インデックスに追加
+function addKeysToUrlIndex(keys) {
+  keys.forEach(key => {
+    if (urlIndex) {
+      bloomAdd(urlIndex, key);
+    }
+    if (urlIndexBuilding) {
+      bloomAdd(urlIndexBuilding, key);
+    }
+
+    const domain = getUrlDomain(key);
+    if (domainIndex) {
+      domainIndex.add(domain);
+    }
+    if (domainIndexBuilding) {
+      domainIndexBuilding.add(domain);
+    }
+  });
+
+  // 想定件数を超えると偽陽性率が上がるため、容量を増やして再構築
+  if (urlIndex && urlIndex.count > urlIndex.capacity) {
+    rebuildUrlIndex();
+  }
+}
+
+// 履歴から一括でURLを取得してDBに保存
+// incremental が true の場合は前回のインポート時刻（lastImportTime）以降の履歴のみを取得
+async function importHistoryToDB({ incremental = false } = {}) {
+  // 取得開始時刻を次回の差分同期の基準にする（インポート中の訪問を取りこぼさないため）
+  const importStartTime = Date.now();
+
+  // 90日分の履歴を取得（ミリ秒単位）
+  const ninetyDaysAgo = importStartTime - HISTORY_RETENTION;
+  let startTime = ninetyDaysAgo;
+
+  if (incremental) {
+    const result = await chrome.storage.local.get(['lastImportTime']);
+    if (result.lastImportTime) {
+      startTime = Math.max(ninetyDaysAgo, result.lastImportTime - HISTORY_SYNC_OVERLAP);
+    }
+  }
+
+  console.log(incremental ? 'Starting incremental history sync...' : 'Starting history import...');
+
+  return runHistoryImport({
+    startTime,
+    endTime: importStartTime,
+    syncTime: importStartTime,
+    total: 0,
+    imported: 0
+  });
+}
+
+// 中断されたインポートをチェックポイントから再開
+async function resumeHistoryImport(checkpoint) {
+  console.log(`Resuming history import (${checkpoint.imported} / ${checkpoint.total})...`);
+  return runHistoryImport(checkpoint);
+}
+
+// チェックポイントの範囲の履歴をインポート
+// 新しい順にバッチ単位で保存し、バッチごとに処理済みの範囲（endTime）をストレージに記録する
+// checkpoint: { startTime, endTime, syncTime, total, imported }
+async function runHistoryImport(checkpoint) {
+  try {
+    importProgress = {
+      inProgress: true,
+      total: checkpoint.total,
+      imported: checkpoint.imported
+    };
+    await chrome.storage.local.set({ [IMPORT_CHECKPOINT_KEY]: checkpoint });
+
+    const historyItems = await chrome.history.search({
+      text: '',
+      startTime: checkpoint.startTime,
+      // 境界と同時刻のアイテムも含める（重複して取り込んでも結果は変わらない）
+      endTime: checkpoint.endTime + 1,
+      maxResults: 0 // 0は制限なしを意味する
+    });
+    historyItems.sort((a, b) => b.lastVisitTime - a.lastVisitTime);
+
+    // 再開時は残り件数から総数を補正
+    checkpoint.total = Math.max(checkpoint.total, checkpoint.imported + historyItems.length);
+    importProgress.total = checkpoint.total;
+    console.log(`Found ${historyItems.length} history items`);
+
+    // バッチ処理で追加（1バッチ1トランザクション）
+    for (let i = 0; i < historyItems.length; i += IMPORT_BATCH_SIZE) {
+      const batch = historyItems.slice(i, i + IMPORT_BATCH_SIZE);
+      await addHistoryItemsToDB(batch);
+
+      checkpoint.imported = Math.min(checkpoint.imported + batch.length, checkpoint.total);
+      checkpoint.endTime = batch[batch.length - 1].lastVisitTime;
+      importProgress.imported = checkpoint.imported;
+      await chrome.storage.local.set({ [IMPORT_CHECKPOINT_KEY]: checkpoint });
+
+      if (checkpoint.imported % 5000 < IMPORT_BATCH_SIZE) {
+        console.log(`Imported ${checkpoint.imported} URLs...`);
+      }
+    }
+
+    console.log('History import completed');
+
+    // インポート完了フラグを保存
+    await chrome.storage.local.set({
+      historyImported: true,
+      lastImportTime: checkpoint.syncTime
+    });
+    await chrome.storage.local.remove(IMPORT_CHECKPOINT_KEY);
+
+    importProgress.inProgress = false;
+  } catch (error) {
+    // チェックポイントは残し、次回起動時に再開する
+    console.error('Error importing history:', error);
+    importProgress.inProgress = false;
+    importProgress.error = error.message;
+    throw error;
+  }
+}
+
+// インポート進行状況を取得
+// サービスワーカーの再起動直後（再開前）はチェックポイントから算出する
+async function getImportProgress() {
+  if (importProgress.inProgress || importProgress.error) {
+    return { ...importProgress };
+  }
+
+  const result = await chrome.storage.local.get([IMPORT_CHECKPOINT_KEY]);
+  const checkpoint = result[IMPORT_CHECKPOINT_KEY];
+  if (checkpoint) {
+    return {
+      inProgress: true,
+      total: checkpoint.total,
+      imported: checkpoint.imported
+    };
+  }
+
+  return { ...importProgress };
+}
+
+// 前回の同期以降の履歴を取り込む（未インポートの場合は全件インポート）
+async function syncHistory(options = {}) {
+  if (syncPromise) {
+    return syncPromise;
+  }
+  if (importProgress.inProgress) {
+    return;
+  }
+
+  syncPromise = runHistorySync(options);
+  try {
+    await syncPromise;
+  } finally {
+    syncPromise = null;
+  }
+}
+
+// 同期処理の本体
+async function runHistorySync({ force = false } = {}) {
+  const result = await chrome.storage.local.get(['historyImported', 'lastImportTime', IMPORT_CHECKPOINT_KEY]);
+
+  // 中断されたインポートがあれば再開
+  if (result[IMPORT_CHECKPOINT_KEY]) {
+    await resumeHistoryImport(result[IMPORT_CHECKPOINT_KEY]);
+    return;
+  }
+
+  if (!result.historyImported) {
+    console.log('First run detected, importing history...');
+    await importHistoryToDB();
+    return;
+  }
+
+  // 直前に同期済みの場合は省略（サービスワーカーは頻繁に再起動されるため）
+  if (!force && result.lastImportTime &&
+      Date.now() - result.lastImportTime < HISTORY_SYNC_MIN_INTERVAL) {
+    console.log('History synced recently, skipping');
+    return;
+  }
+
+  await importHistoryToDB({ incremental: true });
+}
+
+// 定期的な差分同期のアラームを登録
+async function scheduleHistorySync() {
+  const alarm = await chrome.alarms.get(HISTORY_SYNC_ALARM);
+  if (!alarm) {
+    chrome.alarms.create(HISTORY_SYNC_ALARM, {
+      periodInMinutes: HISTORY_SYNC_PERIOD_MINUTES
+    });
+  }
+}
+
+// 正規化後のキーが変わるレコードを収集
+function collectRecordsToRekey(rules) {
+  return new Promise((resolve, reject) => {
+    try {
+      const transaction = db.transaction([STORE_NAME], 'readonly');
+      const store = transaction.objectStore(STORE_NAME);
+      const request = store.openCursor();
+      // 新しいキー -> { record: 統合後のレコード, oldKeys: 旧キーの配列 }
+      const groups = new Map();
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve(groups);
+          return;
+        }
+
+        const record = cursor.value;
+        const newKey = applyUrlRules(record.url, rules);
+        if (newKey !== record.url) {
+          const group = groups.get(newKey) || { record: null, oldKeys: [] };
+          group.record = mergeVisitRecords(group.record, { ...record, url: newKey, domain: getUrlDomain(newKey) });
+          group.oldKeys.push(record.url);
+          groups.set(newKey, group);
+        }
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+// 収集したレコードを1トランザクションで付け替え
+function writeRekeyedRecords(entries) {
+  return new Promise((resolve, reject) => {
+    try {
+      const transaction = db.transaction([STORE_NAME], 'readwrite');
+      const store = transaction.objectStore(STORE_NAME);
+
+      entries.forEach(([newKey, group]) => {
+        const getRequest = store.get(newKey);
+        getRequest.onsuccess = () => {
+          store.put(mergeVisitRecords(getRequest.result, group.record));
+        };
+        group.oldKeys.forEach(oldKey => store.delete(oldKey));
+      });
+
+      transaction.oncomplete = () => {
+        addKeysToUrlIndex(entries.map(([newKey]) => newKey));
+        resolve();
+      };
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+// 既存レコードのキーを現在の正規化ルールに合わせて付け替え
+async function rekeyStoredUrls() {
+  // DBが初期化されていない場合は初期化を待つ
+  if (!db) {
+    try {
+      await initDB();
+    } catch (error) {
+      throw new Error('Failed to initialize database: ' + error.message);
+    }
+  }
+
+  const rules = await getUrlRules();
+  const groups = await collectRecordsToRekey(rules);
+  const entries = [...groups.entries()];
+
+  // チャンク単位でトランザクションを分割
+  const chunkSize = 500;
+  let rekeyed = 0;
+  for (let i = 0; i < entries.length; i += chunkSize) {
+    const chunk = entries.slice(i, i + chunkSize);
+    await writeRekeyedRecords(chunk);
+    rekeyed += chunk.reduce((sum, [, group]) => sum + group.oldKeys.length, 0);
+  }
+
+  await chrome.storage.local.set({ urlRulesSignature: getUrlRulesSignature(rules) });
+  console.log(`Re-keyed ${rekeyed} URLs with current normalization rules`);
+  return rekeyed;
+}
+
+// 正規化ルールが前回の移行時から変わっている場合のみキーを付け替え
+async function migrateUrlKeysIfNeeded() {
+  if (rekeyPromise) {
+    return rekeyPromise;
+  }
+
+  rekeyPromise = (async () => {
+    // プライバシーモードでは元のURLが分からないため付け替えない（ルールの変更は saveUrlRules で止める）
+    if (await getPrivacyKey()) {
+      return 0;
+    }
+
+    const rules = await getUrlRules();
+    const result = await chrome.storage.local.get(['urlRulesSignature']);
+    if (result.urlRulesSignature === getUrlRulesSignature(rules)) {
+      return 0;
+    }
+    return rekeyStoredUrls();
+  })();
+
+  try {
+    return await rekeyPromise;
+  } finally {
+    rekeyPromise = null;
+  }
+}
+
+// 正規化ルールを保存して既存レコードに反映
+// プライバシーモードではハッシュのキーを付け替えられず、保存済みの記録と一致しなくなるため変更できない
+async function saveUrlRules(rules) {
+  await assertNotPrivacyMode('Changing URL rules');
+
+  const mergedRules = mergeUrlRules(rules);
+  await chrome.storage.local.set({ [URL_RULES_STORAGE_KEY]: mergedRules });
+  urlRules = mergedRules;
+  return migrateUrlKeysIfNeeded();
+}
+
+// 平文のレコードを保存キーの順に取得（after より後、最大 limit 件）
+function readRecordsAfter(after, limit) {
+  return new Promise((resolve, reject) => {
+    try {
+      const transaction = db.transaction([STORE_NAME], 'readonly');
+      const store = transaction.objectStore(STORE_NAME);
+      const range = after === null ? null : IDBKeyRange.lowerBound(after, true);
+      const request = store.getAll(range, limit);
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+// 平文のレコードをハッシュのレコードに置き換え（1トランザクション）
+// entries: [{ oldKey, record }]（record は toStoredRecords() で変換済み）
+// 移行中に記録された同じURLのハッシュのレコードがあれば統合する
+function replaceWithPrivateRecords(entries) {
+  return new Promise((resolve, reject) => {
+    try {
+      const transaction = db.transaction([STORE_NAME], 'readwrite');
+      const store = transaction.objectStore(STORE_NAME);
+
+      entries.forEach(({ oldKey, record }) => {
+        store.delete(oldKey);
+        const getRequest = store.get(record.url);
+        getRequest.onsuccess = () => {
+          const existing = getRequest.result;
+          store.put(existing
+            ? { ...mergeVisitRecords(existing, record), title: '' }
+            : record);
+        };
+      });
+
+      // 移行中もリンクのチェックでハッシュのキーが見つかるよう、バッチごとにインデックスに追加
+      transaction.oncomplete = () => {
+        addKeysToUrlIndex(entries.map(({ record }) => record.url));
+        resolve();
+      };
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+// 保存済みの平文のレコードをハッシュのレコードに移行
+// 途中でサービスワーカーが停止しても、次回起動時に残りの平文のレコードから再開する
+async function migrateToPrivacyMode() {
+  // DBが初期化されていない場合は初期化を待つ
+  if (!db) {
+    try {
+      await initDB();
+    } catch (error) {
+      throw new Error('Failed to initialize database: ' + error.message);
+    }
+  }
+
+  let after = null;
+  let migrated = 0;
+  for (;;) {
+    const records = await readRecordsAfter(after, PRIVACY_MIGRATION_BATCH_SIZE);
+    if (records.length === 0) break;
+    after = records[records.length - 1].url;
+
+    const plainRecords = records.filter(record => !isPrivateKey(record.url));
+    const storedRecords = await toStoredRecords(plainRecords);
+    await replaceWithPrivateRecords(plainRecords.map((record, i) => ({
+      oldKey: record.url,
+      record: storedRecords[i]
+    })));
+    migrated += plainRecords.length;
+  }
+
+  // 平文のURLを含む他の保存データも破棄
+  await removeSyncedDigests();
+  await chrome.storage.local.remove(DEVICE_SYNC_STATE_KEY);
+
+  const result = await chrome.storage.local.get([PRIVACY_MODE_KEY]);
+  await chrome.storage.local.set({ [PRIVACY_MODE_KEY]: { ...result[PRIVACY_MODE_KEY], migrating: false } });
+  await rebuildUrlIndex();
+  console.log(`Migrated ${migrated} records to privacy mode`);
+  return migrated;
+}
+
+// プライバシーモードの状態を取得
+async function getPrivacyMode() {
+  const result = await chrome.storage.local.get([PRIVACY_MODE_KEY]);
+  const mode = result[PRIVACY_MODE_KEY];
+  return { enabled: !!mode?.enabled, migrating: !!(mode?.enabled && mode.migrating) };
+}
+
+// プライバシーモードを切り替え（多重実行防止）
+// 無効にするとハッシュの記録が全て削除されるため、deleteRecords で削除を明示した場合のみ無効にする
+async function setPrivacyMode(enabled, { deleteRecords = false } = {}) {
+  if (privacyModePromise) {
+    throw new Error('Privacy mode change already in progress');
+  }
+  if (!enabled && !deleteRecords) {
+    throw new Error('Turning off privacy mode deletes all hashed records and must be requested explicitly');
+  }
+
+  privacyModePromise = enabled ? enablePrivacyMode() : disablePrivacyMode();
+  try {
+    return await privacyModePromise;
+  } finally {
+    privacyModePromise = null;
+  }
+}
+
+// 中断されたプライバシーモードへの移行を再開（多重実行防止）
+async function resumePrivacyMigration() {
+  if (privacyModePromise) {
+    return privacyModePromise;
+  }
+
+  privacyModePromise = migrateToPrivacyMode();
+  try {
+    return await privacyModePromise;
+  } finally {
+    privacyModePromise = null;
+  }
+}
+
+// プライバシーモードを有効にし、保存済みのレコードを移行
+// ソルトはこのプロファイルで新しく作成し、chrome.storage.local にのみ保存する
+async function enablePrivacyMode() {
+  if ((await getPrivacyMode()).enabled) {
+    return { migrated: 0 };
+  }
+
+  const salt = bytesToBase64(crypto.getRandomValues(new Uint8Array(PRIVACY_SALT_LENGTH)));
+  await chrome.storage.local.set({ [PRIVACY_MODE_KEY]: { enabled: true, salt, migrating: true } });
+  privacyKey = null;
+
+  // エクスポートが前提の自動バックアップと端末間の同期を止める
+  await scheduleBackup();
+  await scheduleDeviceSync();
+
+  return { migrated: await migrateToPrivacyMode() };
+}
+
+// ハッシュのレコードを全て削除してプライバシーモードを無効にする
+// ハッシュからURLは復元できないため、Chromeの履歴（90日分）だけを取り込み直す（それより前の記録は失われる）
+async function disablePrivacyMode() {
+  if (!(await getPrivacyMode()).enabled) {
+    return { migrated: 0 };
+  }
+
+  await chrome.storage.local.set({ [PRIVACY_MODE_KEY]: { enabled: false } });
+  privacyKey = null;
+  await clearAllUrls();
+  await rebuildUrlIndex();
+  await Promise.all([
+    chrome.storage.local.set({
+      historyImported: false,
+      lastImportTime: null
+    }),
+    chrome.storage.local.remove(IMPORT_CHECKPOINT_KEY)
+  ]);
+
+  await scheduleBackup();
+  await scheduleDeviceSync();
+
+  // 取り込みは時間がかかるため待たない（進行状況はポップアップの getImportProgress で確認）
+  syncHistory().catch(error => {
+    console.error('Error re-importing history:', error);
+  });
+  return { migrated: 0 };
+}
+
+// 初期化処理
+async function initialize() {
+  try {
+    await initDB();
+
+    // プライバシーモードへの移行が中断されていれば再開
+    if ((await getPrivacyMode()).migrating) {
+      await resumePrivacyMigration();
+    }
+
+    // 正規化ルールの変更（初回を含む）を既存レコードに反映
+    await migrateUrlKeysIfNeeded();
+
+    // メモリ内インデックスを構築（完了までのチェックは IndexedDB で行うため待たない）
+    rebuildUrlIndex();
+
+    // 定期同期・自動バックアップ・端末間の同期のアラームを登録
+    await scheduleHistorySync();
+    await scheduleBackup();
+    await scheduleDeviceSync();
+
+    // 初回は全件インポート、以降は前回の同期以降の差分のみを取り込む
+    await syncHistory();
+  } catch (error) {
+    console.error('Initialization error:', error);
+  }
+}
+
+// 拡張機能インストール時
+chrome.runtime.onInstalled.addListener(() => {
+  console.log('Extension installed/updated');
+  createContextMenus();
+  initialize();
+});
+
+// サービスワーカー起動時
+initialize();
+
+// 定期的な差分同期（拡張機能の無効化中やクラッシュ中に取りこぼした訪問も補完）
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === HISTORY_SYNC_ALARM) {
+    syncHistory({ force: true }).catch(error => {
+      console.error('Error syncing history:', error);
+    });
+  }
+  if (alarm.name === BACKUP_ALARM) {
+    runScheduledBackup();
+  }
+  if (alarm.name === DEVICE_SYNC_ALARM) {
+    syncDevices().catch(error => {
+      console.error('Error syncing devices:', error);
+    });
+  }
+});
+
+// 他のコンテキスト（ポップアップ等）で正規化ルール・サイト別設定が変更された場合にキャッシュを更新
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local') {
+    return;
+  }
+  if (changes[URL_RULES_STORAGE_KEY]) {
+    urlRules = mergeUrlRules(changes[URL_RULES_STORAGE_KEY].newValue);
+  }
+  if (changes[SITE_RULES_STORAGE_KEY]) {
+    siteRules = mergeSiteRules(changes[SITE_RULES_STORAGE_KEY].newValue);
+  }
+  if (changes[BACKUP_SETTINGS_STORAGE_KEY]) {
+    scheduleBackup().catch(error => {
+      console.error('Error scheduling backup:', error);
+    });
+  }
+  if (changes[DEVICE_SYNC_SETTINGS_STORAGE_KEY]) {
+    scheduleDeviceSync().catch(error => {
+      console.error('Error scheduling device sync:', error);
+    });
+  }
+});
+
+// URLを処理してDBに追加し、タブに通知する共通関数
+// シークレットタブでの訪問は incognitoPolicy の設定に従う
+async function processVisitedUrl(url, title, { incognito = false } = {}) {
+  if (!url) return;
+
+  try {
+    // 記録しないサイトに設定されている場合は何もしない
+    if (!shouldRecordUrl(url, await getSiteRules())) {
+      return;
+    }
+
+    let notifyIncognitoOnly = false;
+    if (incognito) {
+      const policy = await getIncognitoPolicy();
+      if (policy === 'ignore') {
+        return;
+      }
+      if (policy === 'session') {
+        await addIncognitoSessionVisit(url);
+        notifyIncognitoOnly = true;
+      } else {
+        await addUrlToDB(url, title, VISIT_CONTEXT_INCOGNITO);
+      }
+    } else {
+      await addUrlToDB(url, title);
+    }
+
+    // URLへのリンクがあるタブにURLが訪問済みになったことを通知
+    await notifyTabsOfVisit(url, { incognitoOnly: notifyIncognitoOnly });
+  } catch (err) {
+    console.error('Failed to process visited URL:', url, err);
+  }
+}
+
+// 新しい履歴アイテムをリアルタイムで追加
+chrome.history.onVisited.addListener((historyItem) => {
+  if (historyItem.url) {
+    processVisitedUrl(historyItem.url, historyItem.title);
+  }
+});
+
+// Chrome履歴からの削除を反映（設定で有効にした場合のみ）
+chrome.history.onVisitRemoved.addListener((removed) => {
+  mirrorHistoryRemoval(removed).catch(error => {
+    console.error('Failed to mirror history removal:', error);
+  });
+});
+
+// タブの更新を監視してバックグラウンドで開かれたタブも処理
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  // ページを移動したタブの要約は新しいページのコンテンツスクリプトが登録し直す
+  if (changeInfo.status === 'loading') {
+    forgetPageLinks(tabId).catch(error => {
+      console.error('Failed to forget page links:', error);
+    });
+  }
+
+  // ページの読み込みが完了し、有効なURLがある場合のみ処理
+  if (changeInfo.status === 'complete' && changeInfo.url &&
+      !changeInfo.url.startsWith('chrome://') &&
+      !changeInfo.url.startsWith('chrome-extension://') &&
+      !changeInfo.url.startsWith('about:')) {
+    processVisitedUrl(changeInfo.url, tab?.title, { incognito: !!tab?.incognito });
+  }
+});
+
+// アクティブになったタブに保留していた訪問を通知
+chrome.tabs.onActivated.addListener(({ tabId }) => {
+  flushDeferredVisits(tabId).catch(error => {
+    console.error('Failed to notify deferred visits:', error);
+  });
+});
+
+// 閉じられたタブの要約と通知待ちの訪問を破棄
+chrome.tabs.onRemoved.addListener((tabId) => {
+  forgetPageLinks(tabId).catch(error => {
+    console.error('Failed to forget page links:', error);
+  });
+});
+
+// 最後のシークレットウィンドウが閉じられたらセッション限定の訪問記録を破棄
+chrome.windows.onRemoved.addListener(async () => {
+  try {
+    const windows = await chrome.windows.getAll();
+    if (!windows.some(window => window.incognito)) {
+      const sessionVisits = await getIncognitoSessionVisits();
+      if (sessionVisits.size > 0) {
+        await clearIncognitoSessionVisits();
+      }
+    }
+  } catch (error) {
+    console.error('Failed to check incognito windows:', error);
+  }
+});
+
+// URLを手動で訪問済みにする（他の端末や紙で読んだページなど）
+// 記録しないサイトの設定より明示的な操作を優先する
+async function markUrlAsVisitedManually(url, title, { incognito = false } = {}) {
+  if (incognito && await getIncognitoPolicy() !== 'record') {
+    await addIncognitoSessionVisit(url);
+    await notifyTabsOfVisit(url, { incognitoOnly: true });
+    return;
+  }
+
+  await addUrlToDB(url, title, incognito ? VISIT_CONTEXT_INCOGNITO : VISIT_CONTEXT_NORMAL);
+  await notifyTabsOfVisit(url);
+}
+
+// URLの記録を削除して、開いているタブのマークを外す
+async function forgetUrl(url) {
+  const key = await normalizeUrl(url);
+  const [storedKey] = await toStoredKeys([key]);
+  await deleteUrlFromDB(storedKey);
+  await removeIncognitoSessionVisits(sessionKey => sessionKey === key);
+  await removeSyncedDigests([key]);
+  await notifyTabsOfForget([key], []);
+}
+
+// ドメイン（正規化後のホスト名）の記録を全て削除して、開いているタブのマークを外す
+async function forgetDomain(url) {
+  const domain = getUrlDomain(await normalizeUrl(url));
+  if (!domain) {
+    return 0;
+  }
+
+  const { count } = await deleteMatchingRecords({ domain });
+  return count;
+}
+
+// コンテキストメニューを作成（インストール・更新時）
+function createContextMenus() {
+  chrome.contextMenus.removeAll(() => {
+    const contexts = ['link', 'page'];
+    chrome.contextMenus.create({
+      id: CONTEXT_MENU_MARK_VISITED,
+      title: chrome.i18n.getMessage('contextMenuMarkVisited'),
+      contexts
+    });
+    chrome.contextMenus.create({
+      id: CONTEXT_MENU_FORGET_URL,
+      title: chrome.i18n.getMessage('contextMenuForgetUrl'),
+      contexts
+    });
+    chrome.contextMenus.create({
+      id: CONTEXT_MENU_FORGET_DOMAIN,
+      title: chrome.i18n.getMessage('contextMenuForgetDomain'),
+      contexts
+    });
+  });
+}
+
+// コンテキストメニューの操作（リンク上ではリンク先、それ以外ではページのURLが対象）
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  const url = info.linkUrl || info.pageUrl;
+  if (!url) return;
+
+  let operation;
+  if (info.menuItemId === CONTEXT_MENU_MARK_VISITED) {
+    // リンクのテキストは取得できないため、タイトルはページ自体の場合のみ記録
+    const title = info.linkUrl ? '' : tab?.title;
+    operation = markUrlAsVisitedManually(url, title, { incognito: !!tab?.incognito });
+  } else if (info.menuItemId === CONTEXT_MENU_FORGET_URL) {
+    operation = forgetUrl(url);
+  } else if (info.menuItemId === CONTEXT_MENU_FORGET_DOMAIN) {
+    operation = forgetDomain(url);
+  } else {
+    return;
+  }
+
+  operation.catch(error => {
+    console.error('Failed to run context menu action:', info.menuItemId, error);
+  });
+});
+
+// DB内のURL数を取得
+async function getUrlCount() {
+  // DBが初期化されていない場合は初期化を待つ
+  if (!db) {
+    try {
+      await initDB();
+    } catch (error) {
+      throw new Error('Failed to initialize database: ' + error.message);
+    }
+  }
+
+  return new Promise((resolve, reject) => {
+    try {
+      const transaction = db.transaction([STORE_NAME], 'readonly');
+      const store = transaction.objectStore(STORE_NAME);
+      const request = store.count();
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+// DBをクリア
+async function clearAllUrls() {
+  // DBが初期化されていない場合は初期化を待つ
+  if (!db) {
+    try {
+      await initDB();
+    } catch (error) {
+      throw new Error('Failed to initialize database: ' + error.message);
+    }
+  }
+
+  return new Promise((resolve, reject) => {
+    try {
+      const transaction = db.transaction([STORE_NAME], 'readwrite');
+      const store = transaction.objectStore(STORE_NAME);
+      const request = store.clear();
+
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+// 全URLを取得
+async function getAllUrls() {
+  // DBが初期化されていない場合は初期化を待つ
+  if (!db) {
+    try {
+      await initDB();
+    } catch (error) {
+      throw new Error('Failed to initialize database: ' + error.message);
+    }
+  }
+
+  return new Promise((resolve, reject) => {
+    try {
+      const transaction = db.transaction([STORE_NAME], 'readonly');
+      const store = transaction.objectStore(STORE_NAME);
+      const request = store.getAll();
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+// 履歴ブラウザの1回の検索で走査する最大レコード数
+const SEARCH_MAX_SCAN = 5000;
+
+// 履歴を検索（インデックスとカーソルでページング）
+// query: { text, domain, from, to, sortBy: 'lastVisit' | 'firstVisit', order: 'desc' | 'asc', limit, after }
+// after には前回の結果の next（{ key, primaryKey }）を渡す
+async function searchHistory(query = {}) {
+  await assertNotPrivacyMode('Search');
+
+  // DBが初期化されていない場合は初期化を待つ
+  if (!db) {
+    try {
+      await initDB();
+    } catch (error) {
+      throw new Error('Failed to initialize database: ' + error.message);
+    }
+  }
+
+  const sortBy = query.sortBy === 'firstVisit' ? 'firstVisit' : 'lastVisit';
+  const direction = query.order === 'asc' ? 'next' : 'prev';
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 50, 1), 500);
+  const text = String(query.text || '').trim().toLowerCase();
+  const from = Number(query.from) || 0;
+  const to = Number(query.to) || Number.MAX_SAFE_INTEGER;
+  const after = query.after || null;
+
+  // ドメインは保存キーと同じルールで正規化（www. の除去など）
+  let domain = String(query.domain || '').trim().toLowerCase();
+  if (domain) {
+    domain = getUrlDomain(await normalizeUrl(`https://${domain}/`)) || domain;
+  }
+
+  const indexName = domain ? `domain_${sortBy}` : sortBy;
+  let lower = domain ? [domain, from] : from;
+  let upper = domain ? [domain, to] : to;
+  const fullRange = IDBKeyRange.bound(lower, upper);
+
+  // 続きから検索する場合は前回の位置から範囲を開始
+  if (after) {
+    if (direction === 'next') {
+      lower = after.key;
+    } else {
+      upper = after.key;
+    }
+  }
+
+  return new Promise((resolve, reject) => {
+    try {
+      const transaction = db.transaction([STORE_NAME], 'readonly');
+      const index = transaction.objectStore(STORE_NAME).index(indexName);
+      const items = [];
+      let scanned = 0;
+      let next = null;
+      let total = null;
+
+      // テキスト検索がない場合のみ件数を取得（最初のページのみ）
+      if (!text && !after) {
+        const countRequest = index.count(fullRange);
+        countRequest.onsuccess = () => {
+          total = countRequest.result;
+        };
+      }
+
+      const request = index.openCursor(IDBKeyRange.bound(lower, upper), direction);
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          next = null;
+          return;
+        }
+
+        // 前回までに返したレコードはスキップ
+        if (after && indexedDB.cmp(cursor.key, after.key) === 0) {
+          const cmp = indexedDB.cmp(cursor.primaryKey, after.primaryKey);
+          if (direction === 'next' ? cmp <= 0 : cmp >= 0) {
+            cursor.continue();
+            return;
+          }
+        }
+
+        const record = cursor.value;
+        scanned++;
+        next = { key: cursor.key, primaryKey: cursor.primaryKey };
+
+        if (!text ||
+            record.url.toLowerCase().includes(text) ||
+            (record.title || '').toLowerCase().includes(text)) {
+          items.push(record);
+        }
+
+        // 1ページ分集まったか、走査上限に達したら中断
+        if (items.length >= limit || scanned >= SEARCH_MAX_SCAN) {
+          return;
+        }
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+
+      transaction.oncomplete = () => resolve({ items, next, total, scanned });
+      transaction.onerror = () => reject(transaction.error);
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+// 保存キーを指定してレコードを削除
+async function deleteUrlFromDB(key) {
+  // DBが初期化されていない場合は初期化を待つ
+  if (!db) {
+    try {
+      await initDB();
+    } catch (error) {
+      throw new Error('Failed to initialize database: ' + error.message);
+    }
+  }
+
+  return new Promise((resolve, reject) => {
+    try {
+      const transaction = db.transaction([STORE_NAME], 'readwrite');
+      const store = transaction.objectStore(STORE_NAME);
+      const request = store.delete(key);
+
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+// 選択削除などで使うレコードの条件を作成
+// filter: { domain, from, to, pattern, regex }（全て省略可能、指定した条件を全て満たすレコードが対象）
+// - domain       : 正規化後のホスト名が一致するもの（サブドメインは含まない）
+// - from / to    : 最終訪問日時の範囲（ミリ秒）
+// - pattern      : 保存キー（正規化済みURL）の部分一致、* はワイルドカード
+// - regex: true  : pattern を正規表現として扱う（大文字・小文字は区別しない）
+async function createRecordFilter(filter = {}) {
+  // ドメインは保存キーと同じルールで正規化（www. の除去など）
+  let domain = String(filter.domain || '').trim().toLowerCase();
+  if (domain) {
+    domain = getUrlDomain(await normalizeUrl(`https://${domain}/`)) || domain;
+  }
+
+  const from = Number(filter.from) || 0;
+  const to = Number(filter.to) || Number.MAX_SAFE_INTEGER;
+  const pattern = String(filter.pattern || '').trim();
+  let urlPattern = null;
+  if (pattern) {
+    // プライバシーモードでは保存キーがハッシュのため、URLのパターンでは判定できない
+    await assertNotPrivacyMode('Deleting by URL pattern');
+    // 不正な正規表現の場合は SyntaxError をそのまま返す
+    urlPattern = filter.regex
+      ? new RegExp(pattern, 'i')
+      : new RegExp(pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*'), 'i');
+  }
+
+  return {
+    domain,
+    from,
+    to,
+    urlPattern,
+    isEmpty: !domain && !Number(filter.from) && !Number(filter.to) && !urlPattern,
+    // ドメインだけを指定した場合はドメインの記録が全て対象になる
+    isWholeDomain: !!domain && !Number(filter.from) && !Number(filter.to) && !urlPattern,
+    matches(url, lastVisit) {
+      return (!domain || getUrlDomain(url) === domain) &&
+        lastVisit >= from && lastVisit <= to &&
+        (!urlPattern || urlPattern.test(url));
+    }
+  };
+}
+
+// 条件に一致するレコードを削除（dryRun の場合は件数を数えるだけ）
+// 削除したURLへのリンクがある開いているタブには、マークを外すよう通知する
+async function deleteMatchingRecords(filter, { dryRun = false } = {}) {
+  const recordFilter = await createRecordFilter(filter);
+  // 条件なしで全件を削除しないようにする（全件の削除は clearAllUrls() を使う）
+  if (recordFilter.isEmpty) {
+    throw new Error('No deletion condition specified');
+  }
+
+  // DBが初期化されていない場合は初期化を待つ
+  if (!db) {
+    try {
+      await initDB();
+    } catch (error) {
+      throw new Error('Failed to initialize database: ' + error.message);
+    }
+  }
+
+  const { domain, from, to, urlPattern } = recordFilter;
+  const isPrivacyMode = !!await getPrivacyKey();
+  const [storedDomain] = await toStoredDomains([domain]);
+  const keys = await new Promise((resolve, reject) => {
+    try {
+      const transaction = db.transaction([STORE_NAME], dryRun ? 'readonly' : 'readwrite');
+      const store = transaction.objectStore(STORE_NAME);
+      // ドメインと期間はインデックスで絞り込み、パターンはレコードごとに判定
+      const request = domain
+        ? store.index('domain_lastVisit').openCursor(IDBKeyRange.bound([storedDomain, from], [storedDomain, to]))
+        : store.index('lastVisit').openCursor(IDBKeyRange.bound(from, to));
+      const matchedKeys = [];
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+
+        if (!urlPattern || urlPattern.test(cursor.primaryKey)) {
+          matchedKeys.push(cursor.primaryKey);
+          if (!dryRun) {
+            cursor.delete();
+          }
+        }
+        cursor.continue();
+      };
+
+      transaction.oncomplete = () => resolve(matchedKeys);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    } catch (error) {
+      reject(error);
+    }
+  });
+
+  if (dryRun) {
+    return { count: keys.length };
+  }
+
+  if (recordFilter.isWholeDomain) {
+    // ドメインの候補から外す（URLのブルームフィルタは削除できないため次の再構築まで残る）
+    domainIndex?.delete(domain);
+  }
+
+  const sessionKeys = await removeIncognitoSessionVisits(recordFilter.matches);
+  const removedKeys = [...new Set([...keys, ...sessionKeys])];
+  // 他の端末から受け取ったハッシュで再びマークされないよう、同じURLのハッシュも削除
+  // （プライバシーモードではハッシュを保持していない）
+  if (!isPrivacyMode) {
+    await removeSyncedDigests(removedKeys);
+  }
+  if (recordFilter.isWholeDomain && removedKeys.length > 0) {
+    await notifyTabsOfForget([], [domain]);
+  } else if (isPrivacyMode) {
+    // プライバシーモードでは削除したURLが分からないため、ドメインを指定した場合のみドメイン単位で再チェックさせる
+    if (domain && removedKeys.length > 0) {
+      await notifyTabsOfForget([], [domain]);
+    }
+    await notifyTabsOfDeletion(sessionKeys);
+  } else {
+    await notifyTabsOfDeletion(removedKeys);
+  }
+
+  console.log(`Deleted ${keys.length} records matching the filter`);
+  return { count: keys.length };
+}
+
+// レコードの保護を設定（保護したレコードはChrome履歴からの削除を反映しない）
+async function setRecordProtected(key, isProtected) {
+  // DBが初期化されていない場合は初期化を待つ
+  if (!db) {
+    try {
+      await initDB();
+    } catch (error) {
+      throw new Error('Failed to initialize database: ' + error.message);
+    }
+  }
+
+  const [existing] = await lookupUrlsInDB([key]);
+  if (!existing) {
+    throw new Error('Record not found: ' + key);
+  }
+  const [storedKey] = await toStoredKeys([key]);
+  return updateRecordInDB(storedKey, record => ({ ...record, protected: !!isProtected }));
+}
+
+// 保護されていないレコードを削除して、削除したキーを返す（keys が null の場合は全てのレコードが対象）
+// keepBefore: 最終訪問がこれより前のレコードは削除しない（keys を指定した場合のみ）
+async function deleteUnprotectedRecords(keys, { keepBefore = null } = {}) {
+  // DBが初期化されていない場合は初期化を待つ
+  if (!db) {
+    try {
+      await initDB();
+    } catch (error) {
+      throw new Error('Failed to initialize database: ' + error.message);
+    }
+  }
+
+  return new Promise((resolve, reject) => {
+    try {
+      const transaction = db.transaction([STORE_NAME], 'readwrite');
+      const store = transaction.objectStore(STORE_NAME);
+      const deletedKeys = [];
+
+      if (keys) {
+        keys.forEach(key => {
+          const getRequest = store.get(key);
+          getRequest.onsuccess = () => {
+            const record = getRequest.result;
+            if (record && !record.protected && !(keepBefore && record.lastVisit < keepBefore)) {
+              store.delete(key);
+              deletedKeys.push(key);
+            }
+          };
+        });
+      } else {
+        const request = store.openCursor();
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor) return;
+          if (!cursor.value.protected) {
+            cursor.delete();
+            deletedKeys.push(cursor.primaryKey);
+          }
+          cursor.continue();
+        };
+      }
+
+      transaction.oncomplete = () => resolve(deletedKeys);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+// Chrome履歴からの削除を反映するか
+async function getMirrorHistoryDeletions() {
+  const result = await chrome.storage.local.get([MIRROR_HISTORY_DELETIONS_KEY]);
+  return result[MIRROR_HISTORY_DELETIONS_KEY] === true;
+}
+
+// Chrome履歴からの削除（個別のURL・全履歴）を反映
+// removed: chrome.history.onVisitRemoved の { allHistory, urls }
+async function mirrorHistoryRemoval(removed) {
+  if (!await getMirrorHistoryDeletions()) {
+    return;
+  }
+
+  const keys = removed.allHistory
+    ? null
+    : [...new Set(await Promise.all((removed.urls || []).map(normalizeUrl)))];
+  const storedKeys = keys && await toStoredKeys(keys);
+  // Chromeは保持期間を過ぎた履歴を自動で削除する際にも通知するため、
+  // 最終訪問が保持期間より前の記録はユーザーによる削除ではないとみなして残す
+  const deletedKeys = await deleteUnprotectedRecords(storedKeys, {
+    keepBefore: Date.now() - HISTORY_RETENTION
+  });
+
+  if (removed.allHistory) {
+    // 大半のキーが消えるため、メモリ内インデックスを作り直す
+    rebuildUrlIndex();
+  }
+
+  // プライバシーモードでは削除したキーを正規化済みURLに戻して通知（全履歴の削除では戻せないため通知しない）
+  const originalKeys = new Map((storedKeys || []).map((storedKey, i) => [storedKey, keys[i]]));
+  await notifyTabsOfDeletion(deletedKeys
+    .map(key => originalKeys.get(key) || key)
+    .filter(key => !isPrivateKey(key)));
+  console.log(`Mirrored history removal: deleted ${deletedKeys.length} records`);
+}
+
+// TSVのエスケープと復元後の文字の対応
+// 先頭から1回で置き換えるため、\\t はタブではなくバックスラッシュと t に戻る
+// それ以外のバックスラッシュは、バックスラッシュをエスケープしていなかった以前のファイルとの互換のためそのまま残す
+const TSV_ESCAPES = { '\\': '\\', t: '\t', n: '\n', r: '\r' };
+
+// エスケープされた文字を復元
+function unescapeTsvField(value) {
+  return value.replace(/\\([\\tnr])/g, (match, char) => TSV_ESCAPES[char]);
+}
+
+// TSVインポートで既存レコードと統合する方法
+const TSV_MERGE_STRATEGIES = ['newest', 'oldest', 'sum'];
+const DEFAULT_TSV_MERGE_STRATEGY = 'newest';
+
+// エクスポートで1回に読み込むレコード数
+const EXPORT_CHUNK_SIZE = 1000;
+
+// 履歴の一部をエクスポート形式に変換（カーソルで EXPORT_CHUNK_SIZE 件ずつ走査する）
+// filter: createRecordFilter() の条件（省略時は全件）
+// after: 前回の結果の next（{ key, primaryKey }）、exported: 前回までに出力した件数
+// 戻り値の next が null になるまで繰り返し呼び出し、data をつなげると1つのファイルになる
+async function exportHistoryChunk({ format = 'tsv', filter = {}, after = null, exported = 0 } = {}) {
+  await assertNotPrivacyMode('Export');
+  const exporter = getExporter(format);
+  const recordFilter = await createRecordFilter(filter);
+
+  // DBが初期化されていない場合は初期化を待つ
+  if (!db) {
+    try {
+      await initDB();
+    } catch (error) {
+      throw new Error('Failed to initialize database: ' + error.message);
+    }
+  }
+
+  const { domain, from, to, urlPattern } = recordFilter;
+  const lower = after ? after.key : (domain ? [domain, from] : from);
+  const upper = domain ? [domain, to] : to;
+
+  const { records, next } = await new Promise((resolve, reject) => {
+    try {
+      const transaction = db.transaction([STORE_NAME], 'readonly');
+      const index = transaction.objectStore(STORE_NAME).index(domain ? 'domain_lastVisit' : 'lastVisit');
+      const request = index.openCursor(IDBKeyRange.bound(lower, upper));
+      const chunk = [];
+      let scanned = 0;
+      let position = null;
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          position = null;
+          return;
+        }
+
+        // 前回までに出力したレコードはスキップ
+        if (after && indexedDB.cmp(cursor.key, after.key) === 0 &&
+            indexedDB.cmp(cursor.primaryKey, after.primaryKey) <= 0) {
+          cursor.continue();
+          return;
+        }
+
+        scanned++;
+        if (!urlPattern || urlPattern.test(cursor.primaryKey)) {
+          chunk.push(cursor.value);
+        }
+        position = { key: cursor.key, primaryKey: cursor.primaryKey };
+
+        // 走査上限に達したら次の呼び出しで続きから読み込む
+        if (scanned >= EXPORT_CHUNK_SIZE) {
+          return;
+        }
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+
+      transaction.oncomplete = () => resolve({ records: chunk, next: position });
+      transaction.onerror = () => reject(transaction.error);
+    } catch (error) {
+      reject(error);
+    }
+  });
+
+  let data = exporter.formatRecords(records, exported);
+  if (!after) {
+    data = exporter.header() + data;
+  }
+  if (!next) {
+    data += exporter.footer();
+  }
+
+  return {
+    data,
+    next,
+    count: records.length,
+    extension: exporter.extension,
+    mimeType: exporter.mimeType
+  };
+}
+
+// TSVの1行をレコードに変換（不正な行は { reason } を返す）
+// reason: 'columns'（列が足りない）/ 'url'（http / https のURLではない）/ 'timestamp'（日時が不正）
+// 3列目以降（初回訪問日時、訪問回数、タイトル、記録元）は省略可能
+function parseTsvLine(line, rules) {
+  const parts = line.split('\t');
+  if (parts.length < 2) {
+    return { reason: 'columns' };
+  }
+
+  // エスケープされた文字を復元
+  const url = unescapeTsvField(parts[0]).trim();
+  try {
+    const { protocol } = new URL(url);
+    if (protocol !== 'http:' && protocol !== 'https:') {
+      return { reason: 'url' };
+    }
+  } catch (e) {
+    return { reason: 'url' };
+  }
+
+  const timestamp = Number(parts[1]);
+  if (!Number.isInteger(timestamp) || timestamp <= 0) {
+    return { reason: 'timestamp' };
+  }
+
+  const firstVisit = parseInt(parts[2], 10);
+  const visitCount = parseInt(parts[3], 10);
+  return {
+    record: createVisitRecord(applyUrlRules(url, rules), {
+      firstVisit: firstVisit > 0 ? firstVisit : timestamp,
+      lastVisit: timestamp,
+      visitCount: visitCount > 0 ? visitCount : 1,
+      title: parts[4] ? unescapeTsvField(parts[4]) : '',
+      context: parts[5]
+    })
+  };
+}
+
+// TSVのインポートで既存レコードと統合
+// newest: 最終訪問日時が新しい方を採用 / oldest: 古い方を採用 / sum: 期間を広げて訪問回数を合算
+// newest / oldest でも初回訪問日時は早い方を残し、保護の設定は既存レコードのものを引き継ぐ
+// 読み込んだ行を採用する場合も、訪問回数は多い方を残し、他の端末での訪問回数と記録元は既存レコードと統合する
+function mergeTsvRecord(existing, imported, strategy) {
+  if (!existing) {
+    return imported;
+  }
+  if (strategy === 'sum') {
+    return mergeVisitRecords(existing, imported);
+  }
+
+  const preferImported = strategy === 'oldest'
+    ? imported.lastVisit < existing.lastVisit
+    : imported.lastVisit > existing.lastVisit;
+  const firstVisit = Math.min(existing.firstVisit, imported.firstVisit);
+  if (!preferImported) {
+    return { ...existing, firstVisit };
+  }
+  return {
+    ...imported,
+    firstVisit,
+    visitCount: Math.max(imported.visitCount || 1, existing.visitCount || 1),
+    context: mergeVisitContext(existing.context, imported.context),
+    ...(existing.syncedVisits && { syncedVisits: existing.syncedVisits }),
+    ...(existing.protected && { protected: true })
+  };
+}
+
+// TSVの行をまとめてインポート（1回の呼び出しを1トランザクションで保存）
+// lines: [{ number: 行番号, text: 行の内容 }]（ポップアップがファイルを読みながら分割して送る）
+// 戻り値の rejected は取り込めなかった行と理由（トランザクションの失敗時は全ての行が 'database'）
+async function importTsvLines(lines, strategy) {
+  // DBが初期化されていない場合は初期化を待つ
+  if (!db) {
+    try {
+      await initDB();
+    } catch (error) {
+      throw new Error('Failed to initialize database: ' + error.message);
+    }
+  }
+
+  const mergeStrategy = TSV_MERGE_STRATEGIES.includes(strategy) ? strategy : DEFAULT_TSV_MERGE_STRATEGY;
+  const rules = await getUrlRules();
+  const records = new Map();
+  const accepted = [];
+  const rejected = [];
+
+  lines.forEach(({ number, text }) => {
+    const line = text.trim();
+    if (!line) return;
+
+    const { record, reason } = parseTsvLine(line, rules);
+    if (!record) {
+      rejected.push({ line: number, reason, text });
+      return;
+    }
+
+    // 同じチャンク内で同じキーになる行も同じ方法で統合
+    records.set(record.url, mergeTsvRecord(records.get(record.url), record, mergeStrategy));
+    accepted.push({ line: number, text });
+  });
+
+  try {
+    await mergeRecordsInDB([...records.values()], (existing, imported) =>
+      mergeTsvRecord(existing, imported, mergeStrategy)
+    );
+  } catch (error) {
+    console.warn('Failed to import TSV chunk:', error);
+    accepted.forEach(({ line, text }) => {
+      rejected.push({ line, reason: 'database', text, error: error.message });
+    });
+    return { imported: 0, rejected };
+  }
+
+  return { imported: accepted.length, rejected };
+}
+
+// 暗号化したエクスポート・インポートの途中の状態を保存（BACKUP_CRYPTO_SESSION_TTL の間呼び出されなければ破棄）
+function keepBackupCryptoSession(id, session) {
+  clearTimeout(session.timer);
+  session.timer = setTimeout(() => {
+    backupCryptoSessions.delete(id);
+  }, BACKUP_CRYPTO_SESSION_TTL);
+  backupCryptoSessions.set(id, session);
+}
+
+// 暗号化したエクスポート・インポートの途中の状態を破棄
+function deleteBackupCryptoSession(id) {
+  clearTimeout(backupCryptoSessions.get(id)?.timer);
+  backupCryptoSessions.delete(id);
+}
+
+// 履歴の一部を暗号化してエクスポート
+// 最初の呼び出しで passphrase を渡すと鍵を導出し、以降は戻り値の encryptionId を渡す
+// 暗号化したファイルはTSVからのインポートで復元するため、形式はTSVのみ
+async function exportEncryptedChunk({ passphrase, encryptionId, ...request }) {
+  if ((request.format || 'tsv') !== 'tsv') {
+    throw new Error('Encrypted export supports TSV format only');
+  }
+
+  let session = backupCryptoSessions.get(encryptionId);
+  const isFirst = !session;
+  if (isFirst) {
+    if (request.after || !passphrase) {
+      throw new Error('Encrypted export session expired');
+    }
+    const { key, headerText } = await createEncryptedBackupHeader(passphrase, 'tsv');
+    encryptionId = crypto.randomUUID();
+    session = { key, headerText, index: 0 };
+  }
+  keepBackupCryptoSession(encryptionId, session);
+
+  let chunk;
+  let line;
+  try {
+    chunk = await exportHistoryChunk({ ...request, format: 'tsv' });
+    line = await encryptBackupChunk(session.key, session.headerText, session.index++, !chunk.next, chunk.data);
+  } catch (error) {
+    deleteBackupCryptoSession(encryptionId);
+    throw error;
+  }
+  if (!chunk.next) {
+    deleteBackupCryptoSession(encryptionId);
+  }
+
+  return {
+    ...chunk,
+    data: (isFirst ? session.headerText + '\n' : '') + line + '\n',
+    encryptionId,
+    extension: `${chunk.extension}.${ENCRYPTED_BACKUP_EXTENSION}`,
+    mimeType: 'application/octet-stream'
+  };
+}
+
+// 暗号化したファイルのヘッダーを読み込み、復号を開始（パスフレーズが違う場合はエラー）
+async function openEncryptedImport(headerText, passphrase) {
+  const { key, content } = await openEncryptedBackup(headerText, passphrase);
+  if (content !== 'tsv') {
+    throw createBackupCryptoError('unsupported', 'Unsupported encrypted content: ' + content);
+  }
+  const decryptionId = crypto.randomUUID();
+  keepBackupCryptoSession(decryptionId, { key, headerText, index: 0 });
+  return { decryptionId, content };
+}
+
+// 暗号化したファイルのチャンクの行を順に復号
+// 最後のチャンクを復号すると終了する（final が true にならずにファイルが終わった場合は不完全なファイル）
+async function decryptImportChunk(decryptionId, line) {
+  const session = backupCryptoSessions.get(decryptionId);
+  if (!session) {
+    throw new Error('Encrypted import session expired');
+  }
+  keepBackupCryptoSession(decryptionId, session);
+
+  try {
+    const { text, final } = await decryptBackupChunk(session.key, session.headerText, session.index++, line);
+    if (final) {
+      deleteBackupCryptoSession(decryptionId);
+    }
+    return { data: text, final };
+  } catch (error) {
+    deleteBackupCryptoSession(decryptionId);
+    throw error;
+  }
+}
+
+// 自動バックアップの設定を取得
+async function getBackupSettings() {
+  const result = await chrome.storage.local.get([BACKUP_SETTINGS_STORAGE_KEY]);
+  return mergeBackupSettings(result[BACKUP_SETTINGS_STORAGE_KEY]);
+}
+
+// 自動バックアップのアラームを登録（無効の場合は解除）
+// 前回のバックアップから設定の間隔が経過する日時に実行し、既に過ぎている場合は少し待ってから実行する
+// プライバシーモードではエクスポートできないため登録しない
+async function scheduleBackup() {
+  const settings = await getBackupSettings();
+  if (!settings.enabled || await getPrivacyKey()) {
+    await chrome.alarms.clear(BACKUP_ALARM);
+    return;
+  }
+
+  const result = await chrome.storage.local.get([LAST_BACKUP_TIME_KEY]);
+  const lastTime = result[LAST_BACKUP_TIME_KEY];
+  const now = Date.now();
+  const dueTime = lastTime ? getNextBackupTime(lastTime, settings.interval) : now;
+  const alarm = await chrome.alarms.get(BACKUP_ALARM);
+
+  if (dueTime > now) {
+    if (!alarm || alarm.scheduledTime !== dueTime) {
+      chrome.alarms.create(BACKUP_ALARM, { when: dueTime });
+    }
+    return;
+  }
+
+  // 再試行の待ち時間より先のアラームは設定の変更前のものなので登録し直す
+  // （サービスワーカーの再起動のたびに先送りしないよう、それ以外は登録済みのアラームを使う）
+  if (!alarm || alarm.scheduledTime > now + BACKUP_RETRY_DELAY_MINUTES * 60 * 1000) {
+    chrome.alarms.create(BACKUP_ALARM, { delayInMinutes: BACKUP_CATCH_UP_DELAY_MINUTES });
+  }
+}
+
+// アラームによる自動バックアップ（失敗した場合は時間をおいて再試行）
+async function runScheduledBackup() {
+  try {
+    const settings = await getBackupSettings();
+    if (!settings.enabled) {
+      return;
+    }
+    await runBackup();
+    await scheduleBackup();
+  } catch (error) {
+    console.error('Error running scheduled backup:', error);
+    chrome.alarms.create(BACKUP_ALARM, { delayInMinutes: BACKUP_RETRY_DELAY_MINUTES });
+  }
+}
+
+// オフスクリーンドキュメントで全ての履歴をエクスポートし、ダウンロード用のBlob URLを作成
+// （オフスクリーンドキュメントが exportHistory を繰り返し呼び出してファイルにつなげる）
+async function createBackupUrl(format) {
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT'],
+    documentUrls: [chrome.runtime.getURL(OFFSCREEN_DOCUMENT_PATH)]
+  });
+  if (contexts.length === 0) {
+    await chrome.offscreen.createDocument({
+      url: OFFSCREEN_DOCUMENT_PATH,
+      reasons: ['BLOBS'],
+      justification: 'Create a download URL for scheduled history backups'
+    });
+  }
+
+  const response = await chrome.runtime.sendMessage({
+    target: 'offscreen',
+    action: 'createBackupUrl',
+    format
+  });
+  if (!response?.url) {
+    throw new Error('Failed to create backup: ' + (response?.error || 'no response'));
+  }
+  return response;
+}
+
+// オフスクリーンドキュメントを閉じる（作成したBlob URLも解放される）
+async function closeOffscreenDocument() {
+  try {
+    await chrome.offscreen.closeDocument();
+  } catch (error) {
+    // 既に閉じている場合は無視
+  }
+}
+
+// ダウンロードの完了を待つ（中断された場合はエラー）
+function waitForDownload(downloadId) {
+  return new Promise((resolve, reject) => {
+    const finish = (state, error) => {
+      chrome.downloads.onChanged.removeListener(listener);
+      if (state === 'complete') {
+        resolve();
+      } else {
+        reject(new Error('Download interrupted: ' + (error || 'unknown')));
+      }
+    };
+    const listener = (delta) => {
+      if (delta.id === downloadId && delta.state &&
+          (delta.state.current === 'complete' || delta.state.current === 'interrupted')) {
+        finish(delta.state.current, delta.error?.current);
+      }
+    };
+
+    chrome.downloads.onChanged.addListener(listener);
+
+    // 登録前に完了していた場合
+    chrome.downloads.search({ id: downloadId }).then(([item]) => {
+      if (item && (item.state === 'complete' || item.state === 'interrupted')) {
+        finish(item.state, item.error);
+      }
+    }).catch(reject);
+  });
+}
+
+// 古いバックアップのファイルを削除（ダウンロード履歴から消されたものは削除できないため無視する）
+async function removeBackupFile(entry) {
+  try {
+    await chrome.downloads.removeFile(entry.downloadId);
+  } catch (error) {
+    console.warn('Failed to remove old backup:', entry.filename, error);
+  }
+  try {
+    await chrome.downloads.erase({ id: entry.downloadId });
+  } catch (error) {
+    // ダウンロード履歴にない場合は無視
+  }
+}
+
+// バックアップを作成してダウンロードフォルダ内のサブフォルダに保存し、残す数を超えた古いものを削除
+async function runBackup() {
+  if (backupPromise) {
+    return backupPromise;
+  }
+
+  backupPromise = performBackup();
+  try {
+    return await backupPromise;
+  } finally {
+    backupPromise = null;
+  }
+}
+
+// バックアップ処理の本体
+async function performBackup() {
+  await assertNotPrivacyMode('Backup');
+
+  const settings = await getBackupSettings();
+  const time = Date.now();
+  const timestamp = new Date(time).toISOString().slice(0, 19).replace(/:/g, '-');
+  let filename;
+  let count;
+  let downloadId;
 
-          request.onsuccess = () => resolve();
-          request.onerror = () => reject(request.error);
-        });
+  try {
+    const backup = await createBackupUrl(settings.format);
+    count = backup.count;
+    filename = `${settings.folder}/perma-recall-backup-${timestamp}.${backup.extension}`;
+    downloadId = await chrome.downloads.download({
+      url: backup.url,
+      filename,
+      conflictAction: 'uniquify',
+      saveAs: false
+    });
+    await waitForDownload(downloadId);
+  } finally {
+    await closeOffscreenDocument();
+  }
+
+  const result = await chrome.storage.local.get([BACKUP_LOG_KEY]);
+  const log = [...(result[BACKUP_LOG_KEY] || []), { downloadId, filename, time }];
+  const expired = log.splice(0, Math.max(0, log.length - settings.retention));
+  for (const entry of expired) {
+    await removeBackupFile(entry);
+  }
+
+  await chrome.storage.local.set({
+    [BACKUP_LOG_KEY]: log,
+    [LAST_BACKUP_TIME_KEY]: time
+  });
+  console.log(`Backup saved: ${filename} (${count} records, ${expired.length} old backups removed)`);
+
+  return { filename, count, removed: expired.length };
+}
+
+// 端末間の同期の設定を取得
+async function getDeviceSyncSettings() {
+  const result = await chrome.storage.local.get([DEVICE_SYNC_SETTINGS_STORAGE_KEY]);
+  return mergeDeviceSyncSettings(result[DEVICE_SYNC_SETTINGS_STORAGE_KEY]);
+}
+
+// この端末のID（初回に作成）
+async function getDeviceId() {
+  const result = await chrome.storage.local.get([DEVICE_SYNC_ID_KEY]);
+  if (result[DEVICE_SYNC_ID_KEY]) {
+    return result[DEVICE_SYNC_ID_KEY];
+  }
+  const deviceId = crypto.randomUUID();
+  await chrome.storage.local.set({ [DEVICE_SYNC_ID_KEY]: deviceId });
+  return deviceId;
+}
+
+// 端末間の同期の状態を取得
+// { status: 'idle' | 'syncing' | 'error', lastSyncTime, lastError, pushed, pulled, backends: { 状態のキー -> バックエンドの状態 } }
+async function getDeviceSyncState() {
+  const result = await chrome.storage.local.get([DEVICE_SYNC_STATE_KEY]);
+  return { status: 'idle', lastSyncTime: null, lastError: null, backends: {}, ...result[DEVICE_SYNC_STATE_KEY] };
+}
+
+// 端末間の同期の状態を更新
+async function updateDeviceSyncState(update) {
+  const state = await getDeviceSyncState();
+  await chrome.storage.local.set({ [DEVICE_SYNC_STATE_KEY]: { ...state, ...update } });
+}
+
+// 端末間の同期のアラームを登録（無効の場合とプライバシーモードの場合は解除）
+async function scheduleDeviceSync() {
+  const settings = await getDeviceSyncSettings();
+  if (!settings.enabled || await getPrivacyKey()) {
+    await chrome.alarms.clear(DEVICE_SYNC_ALARM);
+    return;
+  }
+
+  const alarm = await chrome.alarms.get(DEVICE_SYNC_ALARM);
+  if (!alarm) {
+    chrome.alarms.create(DEVICE_SYNC_ALARM, {
+      delayInMinutes: 1,
+      periodInMinutes: DEVICE_SYNC_PERIOD_MINUTES
+    });
+  }
+}
+
+// 前回送った時刻より後に訪問したレコードを差分として収集（最終訪問の昇順、最大 limit 件）
+// 他の端末から受け取っただけのレコードとシークレットウィンドウのみの記録は送らない
+// 戻り値の until は次回の開始位置（同じ最終訪問のレコードが分かれないよう、上限を超えても同じ時刻の分までは含める）
+async function collectDeviceSyncRecords(since, limit) {
+  // DBが初期化されていない場合は初期化を待つ
+  if (!db) {
+    try {
+      await initDB();
+    } catch (error) {
+      throw new Error('Failed to initialize database: ' + error.message);
+    }
+  }
+
+  return new Promise((resolve, reject) => {
+    try {
+      const transaction = db.transaction([STORE_NAME], 'readonly');
+      const index = transaction.objectStore(STORE_NAME).index('lastVisit');
+      const request = index.openCursor(IDBKeyRange.lowerBound(since, true));
+      const records = [];
+      let until = since;
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+
+        const record = cursor.value;
+        if (records.length >= limit && record.lastVisit > until) {
+          return;
+        }
+        if (getLocalVisitCount(record) > 0 && record.context !== VISIT_CONTEXT_INCOGNITO) {
+          records.push(record);
+        }
+        until = record.lastVisit;
+        cursor.continue();
+      };
+
+      transaction.oncomplete = () => resolve({ records, until });
+      transaction.onerror = () => reject(transaction.error);
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+// 他の端末の差分（URL）を反映（この端末の正規化ルール・サイト別設定を適用する）
+async function applyDeviceSyncUrls(device, entries) {
+  const rules = await getUrlRules();
+  const recordRules = await getSiteRules();
+  const records = new Map();
+
+  entries.forEach(entry => {
+    if (!/^https?:\/\//i.test(entry.key || '') || !shouldRecordUrl(entry.key, recordRules) || !entry.lastVisit) {
+      return;
+    }
+    const key = applyUrlRules(entry.key, rules);
+    const previous = records.get(key);
+    records.set(key, {
+      record: createVisitRecord(key, { ...entry, visitCount: 1 }),
+      count: Math.max(previous?.count || 0, entry.count || 1)
+    });
+  });
+
+  const counts = new Map([...records].map(([key, { count }]) => [key, count]));
+  await mergeRecordsInDB([...records.values()].map(({ record }) => record), (existing, record) =>
+    mergeSyncedRecord(existing, record, device, counts.get(record.url))
+  );
+  return records.size;
+}
+
+// 他の端末の差分（URLのハッシュ）を反映
+async function applyDeviceSyncDigests(device, entries) {
+  const digests = await getSyncedDigests();
+  entries.forEach(entry => {
+    if (!entry.key || !entry.lastVisit) return;
+    const existing = digests.get(entry.key) || { firstVisit: entry.firstVisit, lastVisit: entry.lastVisit, syncedVisits: {} };
+    digests.set(entry.key, {
+      firstVisit: Math.min(existing.firstVisit, entry.firstVisit || entry.lastVisit),
+      lastVisit: Math.max(existing.lastVisit, entry.lastVisit),
+      syncedVisits: mergeSyncedVisits(existing.syncedVisits, { [device]: entry.count || 1 })
+    });
+  });
+
+  // 上限を超えた分は最終訪問の古いものから削除
+  if (digests.size > SYNCED_DIGESTS_MAX) {
+    [...digests.entries()]
+      .sort((a, b) => a[1].lastVisit - b[1].lastVisit)
+      .slice(0, digests.size - SYNCED_DIGESTS_MAX)
+      .forEach(([digest]) => digests.delete(digest));
+  }
+  await saveSyncedDigests();
+  return entries.length;
+}
+
+// 端末間で訪問を同期（多重実行防止）
+async function syncDevices() {
+  if (deviceSyncPromise) {
+    return deviceSyncPromise;
+  }
+
+  deviceSyncPromise = runDeviceSync();
+  try {
+    return await deviceSyncPromise;
+  } finally {
+    deviceSyncPromise = null;
+  }
+}
+
+// 同期処理の本体
+// 前回送った位置以降の訪問を差分として書き込み、他の端末の前回以降の差分を読み込んで反映する
+async function runDeviceSync() {
+  const settings = await getDeviceSyncSettings();
+  if (!settings.enabled) {
+    return { pushed: 0, pulled: 0 };
+  }
+  await assertNotPrivacyMode('Device sync');
+  if (settings.backend === 'http' && !settings.http.url) {
+    throw new Error('Sync server URL is not set');
+  }
 
-        imported++;
-      } catch (error) {
-        errors++;
-        console.warn(`Failed to import URL at line ${i}:`, error);
+  const backend = DEVICE_SYNC_BACKEND_IMPLEMENTATIONS[settings.backend];
+  const stateKey = backend.getStateKey(settings);
+  const deviceId = await getDeviceId();
+  const syncState = await getDeviceSyncState();
+  const backendState = { ...syncState.backends[stateKey] };
+  const context = { deviceId, settings, state: backendState };
+
+  // バックエンドの状態は書き込みのたびに保存（読み込みに失敗しても差分を送り直さない）
+  const saveBackendState = () => updateDeviceSyncState({
+    backends: { ...syncState.backends, [stateKey]: backendState }
+  });
+
+  await updateDeviceSyncState({ status: 'syncing' });
+
+  try {
+    // この端末の差分を書き込み
+    const since = backendState.pushedUntil ??
+      (backend.initialWindow ? Date.now() - backend.initialWindow : 0);
+    const { records, until } = await collectDeviceSyncRecords(since, backend.maxEntries);
+    let pushed = 0;
+    let pushedUntil = until;
+    if (records.length > 0) {
+      const entries = await Promise.all(records.map(async record => ({
+        key: backend.keyType === 'digest' ? await computeSyncDigest(record.url) : record.url,
+        firstVisit: record.firstVisit,
+        lastVisit: record.lastVisit,
+        count: getLocalVisitCount(record),
+        title: record.title
+      })));
+      pushed = await backend.push(entries, context);
+
+      // 書き込めなかった分は次回以降の同期で送る
+      // 最終訪問が同じ記録を分けないよう、書き込めなかった最初の記録より前の最終訪問までを送信済みにする
+      if (pushed < records.length) {
+        const next = records[pushed].lastVisit;
+        const written = records.slice(0, pushed).filter(record => record.lastVisit < next);
+        pushedUntil = written.length > 0 ? written[written.length - 1].lastVisit : since;
       }
     }
+    backendState.pushedUntil = pushedUntil;
+    await saveBackendState();
+
+    // 他の端末の差分を反映
+    let pulled = 0;
+    for (const { device, entries } of await backend.pull(context)) {
+      pulled += backend.keyType === 'digest'
+        ? await applyDeviceSyncDigests(device, entries)
+        : await applyDeviceSyncUrls(device, entries);
+    }
+    await saveBackendState();
 
-    console.log(`Import completed: ${imported} imported, ${errors} errors`);
-    return { imported, errors };
+    const result = { pushed, pulled };
+    await updateDeviceSyncState({ status: 'idle', lastSyncTime: Date.now(), lastError: null, ...result });
+    console.log(`Device sync completed: ${pushed} pushed, ${pulled} pulled`);
+    return result;
   } catch (error) {
-    console.error('Error importing history from TSV:', error);
+    await updateDeviceSyncState({ status: 'error', lastError: error.message });
     throw error;
   }
 }
@@ -383,9 +3077,9 @@ async function importHistoryFromTSV(tsvData) {
 // コンテンツスクリプトとポップアップからのメッセージを処理
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === 'checkUrl') {
-    checkUrlInDB(request.url)
-      .then(isVisited => {
-        sendResponse({ isVisited });
+    lookupUrls([request.url], { incognito: !!sender.tab?.incognito })
+      .then(([record]) => {
+        sendResponse({ isVisited: !!record, lastVisit: record?.lastVisit || null });
       })
       .catch(error => {
         console.error('Error checking URL:', error);
@@ -397,15 +3091,14 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   }
 
   if (request.action === 'checkUrls') {
-    // 複数URLの一括チェック
-    Promise.all(
-      request.urls.map(url =>
-        checkUrlInDB(url)
-          .then(isVisited => ({ url, isVisited }))
-          .catch(() => ({ url, isVisited: false }))
-      )
-    )
-    .then(results => {
+    // 複数URLの一括チェック（メモリ内インデックスで絞り込み、1トランザクションで確認）
+    lookupUrls(request.urls, { incognito: !!sender.tab?.incognito })
+    .then(records => {
+      const results = request.urls.map((url, i) => ({
+        url,
+        isVisited: !!records[i],
+        lastVisit: records[i]?.lastVisit || null
+      }));
       sendResponse({ results });
     })
     .catch(error => {
@@ -416,16 +3109,141 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true;
   }
 
+  // リンクの一括チェック（ページ自体とドメインの訪問状況）
+  if (request.action === 'checkLinks') {
+    lookupLinks(request.urls, { incognito: !!sender.tab?.incognito })
+      .then(results => {
+        sendResponse({ results });
+      })
+      .catch(error => {
+        console.error('Error checking links:', error);
+        sendResponse({ results: [] });
+      });
+
+    return true;
+  }
+
+  // コンテンツスクリプトからのページ内リンクの登録（訪問の通知先の判定用）
+  if (request.action === 'registerPageLinks') {
+    if (!sender.tab) {
+      return;
+    }
+
+    registerPageLinks(sender.tab.id, sender.frameId || 0, request.hashes || [], !!request.reset)
+      .then(() => {
+        sendResponse({ success: true });
+      })
+      .catch(error => {
+        console.error('Error registering page links:', error);
+        sendResponse({ success: false });
+      });
+
+    return true;
+  }
+
+  // URLを手動で訪問済みにする
+  if (request.action === 'markAsVisited') {
+    markUrlAsVisitedManually(request.url, request.title, { incognito: !!sender.tab?.incognito })
+      .then(() => {
+        sendResponse({ success: true });
+      })
+      .catch(error => {
+        console.error('Error marking URL as visited:', error);
+        sendResponse({ error: error.message });
+      });
+
+    return true;
+  }
+
+  // URLの記録を削除
+  if (request.action === 'forgetUrl') {
+    forgetUrl(request.url)
+      .then(() => {
+        sendResponse({ success: true });
+      })
+      .catch(error => {
+        console.error('Error forgetting URL:', error);
+        sendResponse({ error: error.message });
+      });
+
+    return true;
+  }
+
+  // ドメインの記録を全て削除
+  if (request.action === 'forgetDomain') {
+    forgetDomain(request.url)
+      .then(deleted => {
+        sendResponse({ success: true, deleted });
+      })
+      .catch(error => {
+        console.error('Error forgetting domain:', error);
+        sendResponse({ error: error.message });
+      });
+
+    return true;
+  }
+
+  // 条件を指定して削除（dryRun の場合は件数のみ）
+  if (request.action === 'deleteMatching') {
+    deleteMatchingRecords(request.filter, { dryRun: !!request.dryRun })
+      .then(({ count }) => {
+        sendResponse({ success: true, count });
+      })
+      .catch(error => {
+        console.error('Error deleting matching records:', error);
+        sendResponse({ error: error.message, errorCode: error.code || null });
+      });
+
+    return true;
+  }
+
+  // レコードの保護の設定（履歴ブラウザ）
+  if (request.action === 'setProtected') {
+    setRecordProtected(request.url, request.protected)
+      .then(() => {
+        sendResponse({ success: true });
+      })
+      .catch(error => {
+        console.error('Error setting protection:', error);
+        sendResponse({ error: error.message });
+      });
+
+    return true;
+  }
+
+  // ホバーカード用の訪問詳細（ホバー時に1件ずつ取得）
+  if (request.action === 'getLinkDetails') {
+    lookupUrls([request.url], { incognito: !!sender.tab?.incognito })
+      .then(([record]) => {
+        sendResponse({
+          details: record ? {
+            url: record.url,
+            title: record.title,
+            firstVisit: record.firstVisit,
+            lastVisit: record.lastVisit,
+            visitCount: record.visitCount
+          } : null
+        });
+      })
+      .catch(error => {
+        console.error('Error getting link details:', error);
+        sendResponse({ details: null });
+      });
+
+    return true;
+  }
+
   // ポップアップからの統計情報リクエスト
   if (request.action === 'getStats') {
     Promise.all([
       getUrlCount(),
-      chrome.storage.local.get(['lastImportTime'])
+      chrome.storage.local.get(['lastImportTime', LAST_BACKUP_TIME_KEY])
     ])
     .then(([count, storage]) => {
       sendResponse({
         count,
-        lastImportTime: storage.lastImportTime || null
+        lastImportTime: storage.lastImportTime || null,
+        lastBackupTime: storage[LAST_BACKUP_TIME_KEY] || null
       });
     })
     .catch(error => {
@@ -443,33 +3261,45 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       return true;
     }
 
-    importHistoryToDB()
-      .then(() => {
-        sendResponse({ success: true });
-      })
-      .catch(error => {
-        console.error('Error importing history:', error);
-        sendResponse({ error: error.message });
-      });
+    // 定期同期と同じ経路で前回の同期以降の履歴を取り込む（同期の実行中はその完了を待つため、同時に実行されない）
+    // 完了を待たずに応答し、進行状況は getImportProgress で確認する（進行状況は runHistoryImport が更新する）
+    syncHistory({ force: true }).catch(error => {
+      console.error('Error importing history:', error);
+    });
+    sendResponse({ success: true });
 
     return true;
   }
 
   // インポート進行状況のリクエスト
   if (request.action === 'getImportProgress') {
-    sendResponse(importProgress);
+    getImportProgress()
+      .then(progress => {
+        sendResponse(progress);
+      })
+      .catch(error => {
+        console.error('Error getting import progress:', error);
+        sendResponse({ ...importProgress });
+      });
+
     return true;
   }
 
   // 履歴のクリアリクエスト
   if (request.action === 'clearHistory') {
     clearAllUrls()
+      .then(() => removeSyncedDigests())
       .then(() => {
+        rebuildUrlIndex();
+
         // フラグもリセット
-        return chrome.storage.local.set({
-          historyImported: false,
-          lastImportTime: null
-        });
+        return Promise.all([
+          chrome.storage.local.set({
+            historyImported: false,
+            lastImportTime: null
+          }),
+          chrome.storage.local.remove(IMPORT_CHECKPOINT_KEY)
+        ]);
       })
       .then(() => {
         sendResponse({ success: true });
@@ -482,25 +3312,86 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true;
   }
 
-  // 履歴のエクスポート（TSV形式）
+  // URL正規化ルールの保存
+  if (request.action === 'saveUrlRules') {
+    saveUrlRules(request.rules)
+      .then(rekeyed => {
+        sendResponse({ success: true, rekeyed });
+      })
+      .catch(error => {
+        console.error('Error saving URL rules:', error);
+        sendResponse({ error: error.message, errorCode: error.code || null });
+      });
+
+    return true;
+  }
+
+  // 履歴ブラウザからの検索
+  if (request.action === 'searchHistory') {
+    searchHistory(request.query)
+      .then(result => {
+        sendResponse(result);
+      })
+      .catch(error => {
+        console.error('Error searching history:', error);
+        sendResponse({ error: error.message, errorCode: error.code || null });
+      });
+
+    return true;
+  }
+
+  // 履歴ブラウザからのレコード削除（右クリックメニューからの削除と同じく、他の端末から受け取ったハッシュも削除）
+  if (request.action === 'deleteUrl') {
+    forgetUrl(request.url)
+      .then(() => {
+        sendResponse({ success: true });
+      })
+      .catch(error => {
+        console.error('Error deleting URL:', error);
+        sendResponse({ error: error.message });
+      });
+
+    return true;
+  }
+
+  // 履歴のエクスポート（チャンクごとに呼び出す）
   if (request.action === 'exportHistory') {
-    exportHistoryToTSV()
-      .then(tsvData => {
-        sendResponse({ success: true, data: tsvData });
+    // パスフレーズ（2回目以降は encryptionId）が指定された場合は暗号化する
+    const exportChunk = request.passphrase || request.encryptionId
+      ? exportEncryptedChunk(request)
+      : exportHistoryChunk(request);
+
+    exportChunk
+      .then(result => {
+        sendResponse({ success: true, ...result });
       })
       .catch(error => {
         console.error('Error exporting history:', error);
+        sendResponse({ error: error.message, errorCode: error.code || null });
+      });
+
+    return true;
+  }
+
+  // 他のブラウザ・ツールの履歴のインポート（ポップアップで変換したレコードをバッチごとに受け取る）
+  if (request.action === 'importRecords') {
+    importRecordsToDB(request.records || [])
+      .then(result => {
+        sendResponse({ success: true, ...result });
+      })
+      .catch(error => {
+        console.error('Error importing records:', error);
         sendResponse({ error: error.message });
       });
 
     return true;
   }
 
-  // 履歴のインポート（TSV形式）
-  if (request.action === 'importFromTSV') {
-    importHistoryFromTSV(request.tsvData)
+  // 履歴のインポート（TSV形式、ポップアップがファイルを読みながら行をまとめて送る）
+  if (request.action === 'importTsvLines') {
+    importTsvLines(request.lines || [], request.strategy)
       .then(result => {
-        sendResponse({ success: true, imported: result.imported, errors: result.errors });
+        sendResponse({ success: true, ...result });
       })
       .catch(error => {
         console.error('Error importing from TSV:', error);
@@ -509,4 +3400,113 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
     return true;
   }
+
+  // 暗号化したファイルのインポートの開始（ヘッダーとパスフレーズの確認）
+  if (request.action === 'openEncryptedImport') {
+    openEncryptedImport(request.header, request.passphrase || '')
+      .then(result => {
+        sendResponse({ success: true, ...result });
+      })
+      .catch(error => {
+        console.warn('Error opening encrypted file:', error);
+        sendResponse({ error: error.message, errorCode: error.code || null });
+      });
+
+    return true;
+  }
+
+  // 暗号化したファイルのチャンクの復号
+  if (request.action === 'decryptImportChunk') {
+    decryptImportChunk(request.decryptionId, request.line || '')
+      .then(result => {
+        sendResponse({ success: true, ...result });
+      })
+      .catch(error => {
+        console.warn('Error decrypting chunk:', error);
+        sendResponse({ error: error.message, errorCode: error.code || null });
+      });
+
+    return true;
+  }
+
+  // プライバシーモードの状態
+  if (request.action === 'getPrivacyMode') {
+    getPrivacyMode()
+      .then(mode => {
+        sendResponse({ ...mode, inProgress: !!privacyModePromise });
+      })
+      .catch(error => {
+        console.error('Error getting privacy mode:', error);
+        sendResponse({ error: error.message });
+      });
+
+    return true;
+  }
+
+  // プライバシーモードの切り替え（有効にする場合は保存済みのレコードを移行、無効にする場合は deleteRecords が必要）
+  if (request.action === 'setPrivacyMode') {
+    setPrivacyMode(!!request.enabled, { deleteRecords: !!request.deleteRecords })
+      .then(result => {
+        sendResponse({ success: true, ...result });
+      })
+      .catch(error => {
+        console.error('Error setting privacy mode:', error);
+        sendResponse({ error: error.message });
+      });
+
+    return true;
+  }
+
+  // 端末間の同期の状態
+  if (request.action === 'getDeviceSyncStatus') {
+    Promise.all([getDeviceSyncState(), getDeviceSyncSettings(), getPrivacyKey()])
+      .then(([state, settings, key]) => {
+        sendResponse({
+          enabled: settings.enabled,
+          privacyMode: !!key,
+          status: deviceSyncPromise ? 'syncing' : state.status,
+          lastSyncTime: state.lastSyncTime,
+          lastError: state.lastError,
+          pushed: state.pushed || 0,
+          pulled: state.pulled || 0
+        });
+      })
+      .catch(error => {
+        console.error('Error getting device sync status:', error);
+        sendResponse({ error: error.message });
+      });
+
+    return true;
+  }
+
+  // ポップアップからの手動同期
+  if (request.action === 'syncDevices') {
+    syncDevices()
+      .then(result => {
+        sendResponse({ success: true, ...result });
+      })
+      .catch(error => {
+        console.error('Error syncing devices:', error);
+        sendResponse({ error: error.message, errorCode: error.code || null });
+      });
+
+    return true;
+  }
+
+  // ポップアップからの手動バックアップ
+  if (request.action === 'runBackup') {
+    runBackup()
+      .then(result => {
+        scheduleBackup().catch(error => {
+          console.error('Error scheduling backup:', error);
+        });
+        sendResponse({ success: true, ...result });
+      })
+      .catch(error => {
+        console.error('Error running backup:', error);
+        sendResponse({ error: error.message, errorCode: error.code || null });
+      });
+
+    return true;
+  }
 });
@@ -0,0 +1,176 @@
+// パスフレーズで暗号化したバックアップの形式
+// background.js（importScripts）、popup.js（scriptタグ）で共有（popup では形式の判定とパスフレーズの長さの確認のみ）
+//
+// ファイルは1行目のヘッダー（JSON）と、暗号化したチャンクの行からなる
+// - ヘッダー: 形式・バージョン、鍵導出（PBKDF2）のパラメータ、パスフレーズの確認値
+// - チャンク: `<通し番号>\t<最後のチャンクなら1>\t<Base64(IV + AES-GCMの暗号文)>`
+// 各チャンクはヘッダー・通し番号・最後かどうかを追加認証データにするため、
+// 並べ替え・差し替え・途中での切り詰めを検出できる
+
+// 暗号化ファイルの形式名とバージョン
+const ENCRYPTED_BACKUP_FORMAT = 'perma-recall-link-encrypted';
+const ENCRYPTED_BACKUP_VERSION = 1;
+
+// 暗号化ファイルの拡張子（元の形式の拡張子の後ろに付ける）
+const ENCRYPTED_BACKUP_EXTENSION = 'enc';
+
+// パスフレーズの最小文字数（エクスポート時に確認）
+const BACKUP_PASSPHRASE_MIN_LENGTH = 8;
+
+// 鍵導出（PBKDF2-SHA-256）の反復回数とソルト・IVの長さ（バイト）
+const BACKUP_KDF_ITERATIONS = 600000;
+
+// 読み込むファイルのヘッダーで受け付ける反復回数の範囲
+// 不正なファイルで鍵の導出に極端に時間がかかったり、弱い鍵で復号したりしないようにする
+const BACKUP_KDF_ITERATIONS_MIN = 100000;
+const BACKUP_KDF_ITERATIONS_MAX = 10000000;
+const BACKUP_SALT_LENGTH = 16;
+const BACKUP_IV_LENGTH = 12;
+
+// 暗号化ファイルの先頭（ヘッダーの書き出し）か
+function isEncryptedBackupHead(text) {
+  return text.startsWith(`{"format":"${ENCRYPTED_BACKUP_FORMAT}"`);
+}
+
+// 種類の分かるエラーを作成
+// code: 'wrongPassphrase'（パスフレーズが違う）/ 'corrupted'（破損・不完全）/ 'unsupported'（未対応の形式・バージョン）
+function createBackupCryptoError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// バイト列をBase64に変換
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+// Base64をバイト列に変換（不正な文字列は破損として扱う）
+function base64ToBytes(text) {
+  let binary;
+  try {
+    binary = atob(text);
+  } catch (error) {
+    throw createBackupCryptoError('corrupted', 'Invalid base64 data');
+  }
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+// パスフレーズから暗号化の鍵とパスフレーズの確認値を導出
+// PBKDF2の出力（512ビット）の前半をAES-GCMの鍵、後半を確認値にする
+async function deriveBackupKey(passphrase, kdf) {
+  const material = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveBits']
+  );
+  const bits = new Uint8Array(await crypto.subtle.deriveBits({
+    name: 'PBKDF2',
+    hash: kdf.hash,
+    salt: base64ToBytes(kdf.salt),
+    iterations: kdf.iterations
+  }, material, 512));
+
+  const key = await crypto.subtle.importKey('raw', bits.slice(0, 32), 'AES-GCM', false, ['encrypt', 'decrypt']);
+  return { key, check: bytesToBase64(bits.slice(32)) };
+}
+
+// 暗号化ファイルのヘッダーを作成
+// content: 暗号化する元のファイルの形式（エクスポート形式）
+async function createEncryptedBackupHeader(passphrase, content) {
+  const kdf = {
+    name: 'PBKDF2',
+    hash: 'SHA-256',
+    iterations: BACKUP_KDF_ITERATIONS,
+    salt: bytesToBase64(crypto.getRandomValues(new Uint8Array(BACKUP_SALT_LENGTH)))
+  };
+  const { key, check } = await deriveBackupKey(passphrase, kdf);
+  const headerText = JSON.stringify({
+    format: ENCRYPTED_BACKUP_FORMAT,
+    version: ENCRYPTED_BACKUP_VERSION,
+    content,
+    cipher: 'AES-GCM',
+    kdf,
+    check
+  });
+  return { key, headerText };
+}
+
+// 暗号化ファイルのヘッダーを読み込み、パスフレーズを確認して鍵を導出
+async function openEncryptedBackup(headerText, passphrase) {
+  let header;
+  try {
+    header = JSON.parse(headerText);
+  } catch (error) {
+    throw createBackupCryptoError('corrupted', 'Invalid encrypted backup header');
+  }
+  if (header?.format !== ENCRYPTED_BACKUP_FORMAT) {
+    throw createBackupCryptoError('corrupted', 'Not an encrypted backup');
+  }
+  if (header.version !== ENCRYPTED_BACKUP_VERSION || header.cipher !== 'AES-GCM' ||
+      header.kdf?.name !== 'PBKDF2' || header.kdf.hash !== 'SHA-256') {
+    throw createBackupCryptoError('unsupported', 'Unsupported encrypted backup version: ' + header.version);
+  }
+  if (!Number.isInteger(header.kdf.iterations) || header.kdf.iterations <= 0 ||
+      typeof header.kdf.salt !== 'string' || typeof header.check !== 'string') {
+    throw createBackupCryptoError('corrupted', 'Invalid encrypted backup header');
+  }
+  if (header.kdf.iterations < BACKUP_KDF_ITERATIONS_MIN || header.kdf.iterations > BACKUP_KDF_ITERATIONS_MAX) {
+    throw createBackupCryptoError('unsupported', 'Unsupported key derivation iterations: ' + header.kdf.iterations);
+  }
+
+  const { key, check } = await deriveBackupKey(passphrase, header.kdf);
+  if (check !== header.check) {
+    throw createBackupCryptoError('wrongPassphrase', 'Wrong passphrase');
+  }
+  return { key, content: header.content };
+}
+
+// チャンクの追加認証データ（ヘッダー、通し番号、最後のチャンクかどうか）
+function getBackupChunkAad(headerText, index, final) {
+  return new TextEncoder().encode(`${headerText}\n${index}\t${final ? 1 : 0}`);
+}
+
+// チャンクを暗号化して1行の文字列にする
+async function encryptBackupChunk(key, headerText, index, final, text) {
+  const iv = crypto.getRandomValues(new Uint8Array(BACKUP_IV_LENGTH));
+  const ciphertext = new Uint8Array(await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: getBackupChunkAad(headerText, index, final) },
+    key,
+    new TextEncoder().encode(text)
+  ));
+
+  const payload = new Uint8Array(iv.length + ciphertext.length);
+  payload.set(iv);
+  payload.set(ciphertext, iv.length);
+  return `${index}\t${final ? 1 : 0}\t${bytesToBase64(payload)}`;
+}
+
+// 暗号化したチャンクの行を復号（index は期待する通し番号）
+async function decryptBackupChunk(key, headerText, index, line) {
+  const fields = line.trim().split('\t');
+  if (fields.length !== 3 || Number(fields[0]) !== index || !['0', '1'].includes(fields[1])) {
+    throw createBackupCryptoError('corrupted', `Invalid encrypted chunk ${index}`);
+  }
+
+  const final = fields[1] === '1';
+  const payload = base64ToBytes(fields[2]);
+  let plaintext;
+  try {
+    plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: payload.subarray(0, BACKUP_IV_LENGTH), additionalData: getBackupChunkAad(headerText, index, final) },
+      key,
+      payload.subarray(BACKUP_IV_LENGTH)
+    );
+  } catch (error) {
+    throw createBackupCryptoError('corrupted', `Failed to decrypt chunk ${index}`);
+  }
+
+  return { text: new TextDecoder().decode(plaintext), final };
+}
@@ -0,0 +1,72 @@
+// 自動バックアップの設定
+// background.js（importScripts）、popup.js（scriptタグ）で共有
+
+// chrome.storage.local の保存キー
+const BACKUP_SETTINGS_STORAGE_KEY = 'backupSettings';
+
+// バックアップの間隔
+const BACKUP_INTERVALS = ['daily', 'weekly', 'monthly'];
+
+// バックアップに使用できるエクスポート形式（ブックマークHTMLは復元できないため除外）
+const BACKUP_FORMATS = ['tsv', 'json', 'csv'];
+
+// 残すバックアップの数の範囲
+const BACKUP_RETENTION_MIN = 1;
+const BACKUP_RETENTION_MAX = 100;
+
+// デフォルトのバックアップ設定
+// folder: ダウンロードフォルダ内の保存先（サブフォルダ）
+// retention: 残すバックアップの数（古いものから削除する）
+const DEFAULT_BACKUP_SETTINGS = {
+  enabled: false,
+  interval: 'weekly',
+  format: 'tsv',
+  folder: 'PermaRecallLink',
+  retention: 5
+};
+
+// 保存先のサブフォルダを整形（ダウンロードフォルダの外を指せないよう相対パスに限定）
+function sanitizeBackupFolder(folder) {
+  const segments = String(folder ?? '')
+    .split(/[\\/]+/)
+    .map(segment => segment.trim().replace(/[<>:"|?*\x00-\x1f]/g, '_'))
+    .filter(segment => segment && segment !== '.' && segment !== '..');
+  return segments.length > 0 ? segments.join('/') : DEFAULT_BACKUP_SETTINGS.folder;
+}
+
+// 保存された設定にデフォルト値を補完
+function mergeBackupSettings(stored) {
+  const retention = Math.round(Number(stored?.retention));
+  return {
+    enabled: stored?.enabled === true,
+    interval: BACKUP_INTERVALS.includes(stored?.interval) ? stored.interval : DEFAULT_BACKUP_SETTINGS.interval,
+    format: BACKUP_FORMATS.includes(stored?.format) ? stored.format : DEFAULT_BACKUP_SETTINGS.format,
+    folder: stored?.folder === undefined ? DEFAULT_BACKUP_SETTINGS.folder : sanitizeBackupFolder(stored.folder),
+    retention: Number.isFinite(retention)
+      ? Math.min(Math.max(retention, BACKUP_RETENTION_MIN), BACKUP_RETENTION_MAX)
+      : DEFAULT_BACKUP_SETTINGS.retention
+  };
+}
+
+// 前回のバックアップ日時から次回のバックアップ日時を計算
+// 毎月の場合は翌月の同じ日（月末を超える場合はその月の末日）
+function getNextBackupTime(lastTime, interval) {
+  const date = new Date(lastTime);
+  switch (interval) {
+    case 'daily':
+      date.setDate(date.getDate() + 1);
+      break;
+    case 'weekly':
+      date.setDate(date.getDate() + 7);
+      break;
+    case 'monthly': {
+      const day = date.getDate();
+      date.setDate(1);
+      date.setMonth(date.getMonth() + 1);
+      const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+      date.setDate(Math.min(day, lastDay));
+      break;
+    }
+  }
+  return date.getTime();
+}
@@ -0,0 +1,180 @@
+// リンクチェックのベンチマーク（開発者向け）
+// 大量のリンクを含むページを生成し、content.js と同じ分け方でバックグラウンドに問い合わせた時間を計測する
+
+// i18n関数
+function getMessage(key, substitutions) {
+  return chrome.i18n.getMessage(key, substitutions);
+}
+
+// DOM要素に多言語テキストを適用
+function localizeHtmlPage() {
+  const elements = document.querySelectorAll('[data-i18n]');
+  elements.forEach(element => {
+    const key = element.getAttribute('data-i18n');
+    const message = getMessage(key);
+    if (message) {
+      element.textContent = message;
+    }
+  });
+}
+
+// 方式ごとの1回のメッセージで問い合わせるURL数と送り方
+const CHECK_MODES = {
+  // 現行の content.js（checkLinks を500件ずつ並行して送信）
+  current: { action: 'checkLinks', batchSize: 500, parallel: true },
+  // メモリ内インデックス導入前の content.js（checkUrls を50件ずつ順番に送信）
+  legacy: { action: 'checkUrls', batchSize: 50, parallel: false }
+};
+
+// 訪問済みURLを取得する際の1回あたりの件数
+const SEARCH_PAGE_SIZE = 500;
+
+// DOM要素の取得
+const benchmarkForm = document.getElementById('benchmarkForm');
+const linkCountInput = document.getElementById('linkCount');
+const visitedPercentInput = document.getElementById('visitedPercent');
+const checkModeSelect = document.getElementById('checkMode');
+const runCountInput = document.getElementById('runCount');
+const runBtn = document.getElementById('runBtn');
+const resultSummary = document.getElementById('resultSummary');
+const resultBody = document.getElementById('resultBody');
+const linkContainer = document.getElementById('linkContainer');
+
+// 保存済みの訪問済みURLを新しい順に取得（プライバシーモードでは取得できないため空）
+async function getVisitedUrls(count) {
+  const urls = [];
+  let after = null;
+
+  while (urls.length < count) {
+    const response = await chrome.runtime.sendMessage({
+      action: 'searchHistory',
+      query: { sortBy: 'lastVisit', order: 'desc', limit: Math.min(count - urls.length, SEARCH_PAGE_SIZE), after }
+    });
+    if (response.error) break;
+
+    response.items.forEach(record => urls.push(record.url));
+    if (!response.next || response.items.length === 0) break;
+    after = response.next;
+  }
+
+  return urls;
+}
+
+// ベンチマーク用のリンクを生成（訪問済みURLを均等に混ぜる）
+function generateLinks(count, visitedUrls) {
+  const runId = Date.now().toString(36);
+  const step = visitedUrls.length > 0 ? count / visitedUrls.length : Infinity;
+  const fragment = document.createDocumentFragment();
+  let visitedIndex = 0;
+
+  for (let i = 0; i < count; i++) {
+    const link = document.createElement('a');
+    if (visitedIndex < visitedUrls.length && i >= visitedIndex * step) {
+      link.href = visitedUrls[visitedIndex++];
+    } else {
+      link.href = `https://perma-recall.invalid/benchmark/${runId}/${i}`;
+    }
+    link.textContent = `link ${i}`;
+    fragment.appendChild(link);
+  }
+
+  linkContainer.textContent = '';
+  linkContainer.appendChild(fragment);
+}
+
+// ページ内のリンクを指定の方式でチェックし、訪問済みの件数を返す
+async function checkPageLinks(mode) {
+  const { action, batchSize, parallel } = CHECK_MODES[mode];
+  const urls = [...new Set([...linkContainer.querySelectorAll('a[href]')].map(link => link.href))];
+
+  const batches = [];
+  for (let i = 0; i < urls.length; i += batchSize) {
+    batches.push(urls.slice(i, i + batchSize));
+  }
+
+  const checkBatch = async batch => {
+    const response = await chrome.runtime.sendMessage({ action, urls: batch });
+    if (!response || !response.results) {
+      throw new Error(`${action} is not supported`);
+    }
+    return response.results.filter(result => result.isVisited).length;
+  };
+
+  let visited = 0;
+  if (parallel) {
+    (await Promise.all(batches.map(checkBatch))).forEach(count => {
+      visited += count;
+    });
+  } else {
+    for (const batch of batches) {
+      visited += await checkBatch(batch);
+    }
+  }
+  return visited;
+}
+
+// 試行結果の行を追加
+function addResultRow(run, elapsed, visited) {
+  const row = document.createElement('tr');
+  [run, elapsed.toFixed(1), visited.toLocaleString()].forEach(value => {
+    const cell = document.createElement('td');
+    cell.textContent = value;
+    row.appendChild(cell);
+  });
+  resultBody.appendChild(row);
+}
+
+// ベンチマークを実行
+async function runBenchmark() {
+  const linkCount = Math.max(parseInt(linkCountInput.value, 10) || 0, 1);
+  const visitedPercent = Math.min(Math.max(parseInt(visitedPercentInput.value, 10) || 0, 0), 100);
+  const runCount = Math.max(parseInt(runCountInput.value, 10) || 0, 1);
+  const mode = checkModeSelect.value;
+
+  runBtn.disabled = true;
+  resultBody.textContent = '';
+  resultSummary.className = 'result-summary';
+  resultSummary.textContent = getMessage('benchmarkGenerating');
+
+  try {
+    const visitedUrls = await getVisitedUrls(Math.round(linkCount * visitedPercent / 100));
+    generateLinks(linkCount, visitedUrls);
+
+    const timings = [];
+    for (let run = 1; run <= runCount; run++) {
+      resultSummary.textContent = getMessage('benchmarkRunning', [run.toString(), runCount.toString()]);
+      const start = performance.now();
+      const visited = await checkPageLinks(mode);
+      const elapsed = performance.now() - start;
+      timings.push(elapsed);
+      addResultRow(run, elapsed, visited);
+    }
+
+    // 初回はサービスワーカーの起動やインデックスの構築を含むため、中央値と最小値も表示
+    const sorted = [...timings].sort((a, b) => a - b);
+    const median = sorted[Math.floor(sorted.length / 2)];
+    resultSummary.textContent = getMessage('benchmarkResult', [
+      linkCount.toLocaleString(),
+      visitedUrls.length.toLocaleString(),
+      median.toFixed(1),
+      sorted[0].toFixed(1)
+    ]);
+  } catch (error) {
+    console.error('Benchmark error:', error);
+    resultSummary.className = 'result-summary error';
+    resultSummary.textContent = getMessage('statusError', [error.message]);
+  } finally {
+    runBtn.disabled = false;
+  }
+}
+
+// イベントリスナーの設定
+benchmarkForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  runBenchmark();
+});
+
+// 初期化
+document.addEventListener('DOMContentLoaded', () => {
+  localizeHtmlPage();
+});
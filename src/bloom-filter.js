@@ -0,0 +1,78 @@
+// Bloomフィルタ（訪問済みURLのメモリ内インデックス）
+// background.js から importScripts で読み込む（ハッシュ関数は content.js でもページ内リンクの要約に使用）
+// 「含まれない」は確定、「含まれる」は偽陽性の可能性があるため IndexedDB で確認すること
+
+// 既定の偽陽性率
+const BLOOM_FALSE_POSITIVE_RATE = 0.01;
+
+// 想定件数と偽陽性率からフィルタを作成
+// { bits, size: ビット数, hashCount: ハッシュ関数の数, capacity: 想定件数, count: 追加済み件数 }
+function createBloomFilter(capacity, falsePositiveRate = BLOOM_FALSE_POSITIVE_RATE) {
+  const n = Math.max(capacity, 1);
+  const size = Math.ceil(-n * Math.log(falsePositiveRate) / (Math.LN2 * Math.LN2));
+  const hashCount = Math.max(1, Math.round((size / n) * Math.LN2));
+
+  return {
+    bits: new Uint8Array(Math.ceil(size / 8)),
+    size,
+    hashCount,
+    capacity: n,
+    count: 0
+  };
+}
+
+// 文字列の32bitハッシュ（FNV-1a、シード付き）
+function hashString(str, seed) {
+  let hash = (0x811c9dc5 ^ seed) >>> 0;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// キーに対応するビット位置を列挙（ダブルハッシュ法）
+function getBloomPositions(filter, key) {
+  const h1 = hashString(key, 0);
+  const h2 = hashString(key, 0x5bd1e995) | 1;
+  const positions = [];
+  for (let i = 0; i < filter.hashCount; i++) {
+    positions.push(((h1 + Math.imul(i, h2)) >>> 0) % filter.size);
+  }
+  return positions;
+}
+
+// キーを追加（新しいキーだった場合は true）
+function bloomAdd(filter, key) {
+  let changed = false;
+  getBloomPositions(filter, key).forEach(position => {
+    const byte = position >> 3;
+    const mask = 1 << (position & 7);
+    if (!(filter.bits[byte] & mask)) {
+      filter.bits[byte] |= mask;
+      changed = true;
+    }
+  });
+
+  if (changed) {
+    filter.count++;
+  }
+  return changed;
+}
+
+// キーが含まれる可能性があるか
+function bloomHas(filter, key) {
+  return getBloomPositions(filter, key).every(position =>
+    (filter.bits[position >> 3] & (1 << (position & 7))) !== 0
+  );
+}
+
+// ページ内リンクの要約に使うハッシュ（content.js が登録し、background.js が通知先のタブの判定に使う）
+// URLとドメインでシードを変えて衝突を避ける
+function hashUrlKey(normalizedUrl) {
+  return hashString(normalizedUrl, 0);
+}
+
+function hashDomainKey(domain) {
+  return hashString(domain, 0x9e3779b9);
+}
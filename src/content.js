@@ -1,16 +1,115 @@
-// URLチェック結果のキャッシュ
+// URLチェック結果のキャッシュ（正規化済みURL -> 最終訪問日時、未訪問の場合は 0）
 const urlCache = new Map();
 
+// ドメイン単位の訪問状況のキャッシュ（ドメイン -> 訪問済みかどうか）
+const domainCache = new Map();
+
 // 処理中のURLセット（重複リクエスト防止）
 const pendingChecks = new Map();
 
 // CSSクラス名
 const VISITED_CLASS = 'extension-perma-recalled';
 
-// カスタムCSSをページに注入
-function injectCustomCss(css) {
+// ページは未訪問だが同じドメインのページを訪問済みのリンクに付与するクラス名
+const DOMAIN_VISITED_CLASS = 'extension-perma-recalled-domain';
+
+// 最終訪問からの経過による段階のクラス名（display-settings.js の RECENCY_LEVELS に対応）
+const RECENCY_CLASSES = RECENCY_LEVELS.map(level => `${VISITED_CLASS}-${level}`);
+
+// 1回のメッセージで問い合わせるURL数
+const BATCH_SIZE = 500;
+
+// 追加されたリンクをまとめてチェックするまでの待ち時間（ミリ秒）
+const FLUSH_DELAY = 100;
+
+// 表示範囲の外でも先にチェックしておく距離
+const VISIBILITY_MARGIN = '200px';
+
+// URL正規化ルール（url-rules.js で定義、初期化時にストレージから読み込む）
+let urlRules = DEFAULT_URL_RULES;
+
+// サイト別設定（site-rules.js で定義、初期化時にストレージから読み込む）
+let siteRules = DEFAULT_SITE_RULES;
+
+// 表示設定（display-settings.js で定義、初期化時にストレージから読み込む）
+let displaySettings = DEFAULT_DISPLAY_SETTINGS;
+
+// スタイル設定（style-presets.js で定義）とカスタムCSS
+let styleSettings = DEFAULT_STYLE_SETTINGS;
+let customCss = '';
+
+// このページでリンクをマークしているかどうか
+let markingEnabled = false;
+
+// ページ内のリンクのインデックス（正規化済みURL -> リンク要素）
+// markUrlAsVisited() でページ全体を走査せずに該当するリンクだけを更新する
+const linkIndex = new Map();
+
+// ドメイン -> ページ内のリンクの正規化済みURL
+const domainLinkIndex = new Map();
+
+// リンク要素 -> インデックスに登録した正規化済みURL（href の変更・削除時に使用）
+let linkUrls = new WeakMap();
+
+// バックグラウンドに未登録のページ内リンクのハッシュ（訪問の通知先の判定用）
+// registrationReset が true の場合は次の登録でこのフレームの要約を作り直す
+const pendingRegistrations = new Set();
+let registrationReset = true;
+
+// チェック待ちのリンク（表示範囲に入ったもの）
+const pendingLinks = new Set();
+let flushTimeoutId = null;
+
+// 画面外のリンクのチェックを遅らせる IntersectionObserver（マーク中のみ）
+let visibilityObserver = null;
+
+// ホバーカード用の訪問詳細のキャッシュ（正規化済みURL -> 詳細）
+const linkDetailsCache = new Map();
+
+// ホバー中のリンクとホバーカード表示までのタイマー
+let hoveredLink = null;
+let hoverTimeoutId = null;
+
+// 発見済みのオープンな Shadow Root（リンクの検索・DOM監視・CSS注入の対象）
+const shadowRoots = new Set();
+
+// 注入中のCSS（後から見つかった Shadow Root にも注入する）
+let injectedCss = '';
+
+// DOM監視の設定（リンクの追加・削除と href の変更）
+const OBSERVER_OPTIONS = {
+  childList: true,
+  subtree: true,
+  attributes: true,
+  attributeFilter: ['href']
+};
+
+// 同一オリジンのフレーム（またはトップレベル）かどうか
+// 別オリジンのフレーム（広告など）ではリンクをマークしない
+function isSameOriginFrame() {
+  if (window === window.top) {
+    return true;
+  }
+  try {
+    return !!window.top.location.href;
+  } catch (e) {
+    return false;
+  }
+}
+
+// サイト別設定の判定に使うページのURL（フレーム内ではトップレベルのページのURL）
+function getPageUrl() {
+  try {
+    return window.top.location.href;
+  } catch (e) {
+    return location.href;
+  }
+}
+
+// ドキュメントまたは Shadow Root にCSSを注入
+function injectCssInto(root, css) {
   // 既存のカスタムスタイルを削除
-  const existingStyle = document.getElementById('perma-recall-custom-style');
+  const existingStyle = root.getElementById('perma-recall-custom-style');
   if (existingStyle) {
     existingStyle.remove();
   }
@@ -20,11 +119,62 @@ function injectCustomCss(css) {
     const style = document.createElement('style');
     style.id = 'perma-recall-custom-style';
     style.textContent = css;
-    document.head.appendChild(style);
+    (root === document ? document.head : root).appendChild(style);
+  }
+}
+
+// カスタムCSSをページ（発見済みの Shadow Root を含む）に注入
+function injectCustomCss(css) {
+  injectedCss = css;
+  injectCssInto(document, css);
+  shadowRoots.forEach(root => injectCssInto(root, css));
+}
+
+// 要素以下のオープンな Shadow Root を探して登録（入れ子の Shadow Root も含む）
+// 新しく登録した Shadow Root の一覧を返す
+function discoverShadowRoots(root, found = []) {
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
+  let node = walker.currentNode;
+  while (node) {
+    if (node.shadowRoot && !shadowRoots.has(node.shadowRoot)) {
+      registerShadowRoot(node.shadowRoot, found);
+    }
+    node = walker.nextNode();
+  }
+  return found;
+}
+
+// Shadow Root を登録してCSSを注入し、DOM監視の対象に加える
+function registerShadowRoot(shadowRoot, found) {
+  shadowRoots.add(shadowRoot);
+  found.push(shadowRoot);
+  injectCssInto(shadowRoot, injectedCss);
+  if (markingEnabled) {
+    observer.observe(shadowRoot, OBSERVER_OPTIONS);
   }
+  discoverShadowRoots(shadowRoot, found);
 }
 
-// 保存されたカスタムCSSを読み込み
+// ページと発見済みの Shadow Root から要素を検索
+function querySelectorAllDeep(selector) {
+  const elements = [...document.querySelectorAll(selector)];
+  shadowRoots.forEach(root => {
+    // ページから取り除かれた Shadow Root は登録を解除
+    if (!root.host.isConnected) {
+      shadowRoots.delete(root);
+      return;
+    }
+    elements.push(...root.querySelectorAll(selector));
+  });
+  return elements;
+}
+
+// このページ用のスタイル（サイト別プリセット・プリセット・カスタムCSS）を適用
+function applyPageStyle() {
+  injectCustomCss(resolvePageCss(getPageUrl(), styleSettings, customCss));
+}
+
+// 保存されたスタイル設定とカスタムCSSを読み込み
 async function loadAndApplyCustomCss() {
   try {
     // 拡張機能コンテキストが有効かチェック
@@ -33,34 +183,69 @@ async function loadAndApplyCustomCss() {
       return;
     }
 
-    const result = await chrome.storage.local.get(['customCss']);
-    if (result.customCss) {
-      injectCustomCss(result.customCss);
-    }
+    const result = await chrome.storage.local.get(['customCss', STYLE_SETTINGS_STORAGE_KEY]);
+    customCss = result.customCss || '';
+    styleSettings = mergeStyleSettings(result[STYLE_SETTINGS_STORAGE_KEY]);
+    applyPageStyle();
   } catch (error) {
     console.log('Failed to load custom CSS:', error.message);
   }
 }
 
-// URLを正規化（オプション：将来的な拡張用）
-function normalizeUrl(url) {
+// 保存された正規化ルールを読み込み
+async function loadNormalizationRules() {
   try {
-    const urlObj = new URL(url);
-    // 基本的な正規化: プロトコル + ホスト + パス
-    // 必要に応じてクエリパラメータの除去などを追加可能
-    return urlObj.href;
-  } catch (e) {
-    return url;
+    // 拡張機能コンテキストが有効かチェック
+    if (!chrome.runtime?.id) {
+      return;
+    }
+
+    urlRules = await loadUrlRules();
+  } catch (error) {
+    console.log('Failed to load URL rules:', error.message);
   }
 }
 
+// 保存されたサイト別設定を読み込み
+async function loadSiteSettings() {
+  try {
+    // 拡張機能コンテキストが有効かチェック
+    if (!chrome.runtime?.id) {
+      return;
+    }
+
+    siteRules = await loadSiteRules();
+  } catch (error) {
+    console.log('Failed to load site rules:', error.message);
+  }
+}
+
+// 保存された表示設定を読み込み
+async function loadDisplayPreferences() {
+  try {
+    // 拡張機能コンテキストが有効かチェック
+    if (!chrome.runtime?.id) {
+      return;
+    }
+
+    displaySettings = await loadDisplaySettings();
+  } catch (error) {
+    console.log('Failed to load display settings:', error.message);
+  }
+}
+
+// URLを正規化（background.js と同じルールを適用）
+function normalizeUrl(url) {
+  return applyUrlRules(url, urlRules);
+}
+
 // 単一URLのチェック
 async function checkUrlVisited(url) {
   const normalizedUrl = normalizeUrl(url);
 
   // キャッシュに存在する場合
   if (urlCache.has(normalizedUrl)) {
-    return urlCache.get(normalizedUrl);
+    return urlCache.get(normalizedUrl) > 0;
   }
 
   // 既に処理中の場合は、その結果を待つ
@@ -91,7 +276,7 @@ async function checkUrlVisited(url) {
 
           const isVisited = response?.isVisited || false;
           // キャッシュに保存
-          urlCache.set(normalizedUrl, isVisited);
+          urlCache.set(normalizedUrl, isVisited ? response.lastVisit || Date.now() : 0);
           // 処理中リストから削除
           pendingChecks.delete(normalizedUrl);
           resolve(isVisited);
@@ -108,79 +293,218 @@ async function checkUrlVisited(url) {
   return checkPromise;
 }
 
-// 複数URLの一括チェック
+// キャッシュからリンクの訪問状況を取得
+function getCachedLinkStatus(url) {
+  const lastVisit = urlCache.get(url) || 0;
+  const isVisited = lastVisit > 0;
+  return {
+    url,
+    isVisited,
+    domainVisited: isVisited || domainCache.get(getUrlDomain(url)) || false,
+    lastVisit: lastVisit || null
+  };
+}
+
+// キャッシュで判定できるか（ページ自体とドメインの両方の訪問状況が分かっている）
+function isLinkStatusCached(url) {
+  return urlCache.has(url) && (urlCache.get(url) > 0 || domainCache.has(getUrlDomain(url)));
+}
+
+// 複数URLの一括チェック（ページ自体とドメインの訪問状況）
 async function checkUrlsBatch(urls) {
   const uniqueUrls = [...new Set(urls.map(normalizeUrl))];
-  const uncachedUrls = uniqueUrls.filter(url => !urlCache.has(url));
+  const uncachedUrls = uniqueUrls.filter(url => !isLinkStatusCached(url));
 
   if (uncachedUrls.length === 0) {
     // 全てキャッシュ済み
-    return uniqueUrls.map(url => ({
-      url,
-      isVisited: urlCache.get(url)
-    }));
+    return uniqueUrls.map(getCachedLinkStatus);
   }
 
   // 未キャッシュのURLをバックグラウンドに問い合わせ
   return new Promise((resolve) => {
+    const unvisited = () => uniqueUrls.map(url => ({ url, isVisited: false, domainVisited: false }));
+
     try {
       // 拡張機能コンテキストが有効かチェック
       if (!chrome.runtime?.id) {
         console.log('Extension context invalidated, skipping URL check');
-        resolve(uniqueUrls.map(url => ({ url, isVisited: false })));
+        resolve(unvisited());
         return;
       }
 
       chrome.runtime.sendMessage(
-        { action: 'checkUrls', urls: uncachedUrls },
+        { action: 'checkLinks', urls: uncachedUrls },
         (response) => {
           if (chrome.runtime.lastError) {
             console.log('Error checking URLs:', chrome.runtime.lastError.message);
-            resolve(uniqueUrls.map(url => ({ url, isVisited: false })));
+            resolve(unvisited());
             return;
           }
 
           // キャッシュに保存
           if (response?.results) {
-            response.results.forEach(({ url, isVisited }) => {
-              urlCache.set(url, isVisited);
+            response.results.forEach(({ url, isVisited, domainVisited, lastVisit }) => {
+              urlCache.set(url, isVisited ? lastVisit || Date.now() : 0);
+              domainCache.set(getUrlDomain(url), domainVisited);
             });
           }
 
           // 全てのURLの結果を返す（キャッシュ済みも含む）
-          const allResults = uniqueUrls.map(url => ({
-            url,
-            isVisited: urlCache.get(url) || false
-          }));
-
-          resolve(allResults);
+          resolve(uniqueUrls.map(getCachedLinkStatus));
         }
       );
     } catch (error) {
       console.log('Exception in checkUrlsBatch:', error.message);
-      resolve(uniqueUrls.map(url => ({ url, isVisited: false })));
+      resolve(unvisited());
     }
   });
 }
 
+// 最終訪問からの経過による段階のクラスを付け替え
+function applyRecencyClass(link, lastVisit) {
+  const level = getRecencyLevel(lastVisit, displaySettings.recencyThresholds);
+  const recencyClass = `${VISITED_CLASS}-${level}`;
+  RECENCY_CLASSES.forEach(className => {
+    if (className !== recencyClass) {
+      link.classList.remove(className);
+    }
+  });
+  link.classList.add(recencyClass);
+}
+
 // リンクにクラスを付与
-function markLink(link, isVisited) {
-  if (isVisited && !link.classList.contains(VISITED_CLASS)) {
+// ページ自体を訪問済みの場合は VISITED_CLASS と経過による段階のクラス、
+// 同じドメインのみ訪問済みの場合は DOMAIN_VISITED_CLASS
+function markLink(link, { isVisited, domainVisited, lastVisit }) {
+  if (isVisited) {
     link.classList.add(VISITED_CLASS);
+    link.classList.remove(DOMAIN_VISITED_CLASS);
+    applyRecencyClass(link, lastVisit || Date.now());
+  } else if (domainVisited && !link.classList.contains(VISITED_CLASS)) {
+    link.classList.add(DOMAIN_VISITED_CLASS);
   }
 }
 
-// ページ内の全リンクを処理
-async function processLinks() {
-  // 拡張機能コンテキストが無効な場合は処理を中止
-  if (!chrome.runtime?.id) {
-    console.log('Extension context invalidated, stopping link processing');
-    return;
+// リンクがマーク対象のURLを持つか
+function isCheckableLink(link) {
+  const href = link.href;
+  return !!href && !href.startsWith('javascript:') && !href.startsWith('#');
+}
+
+// リンクを正規化済みURLのインデックスに登録
+function indexLink(link, normalizedUrl) {
+  if (!linkIndex.has(normalizedUrl)) {
+    linkIndex.set(normalizedUrl, new Set());
+    pendingRegistrations.add(hashUrlKey(normalizedUrl));
+
+    const domain = getUrlDomain(normalizedUrl);
+    if (!domainLinkIndex.has(domain)) {
+      domainLinkIndex.set(domain, new Set());
+      pendingRegistrations.add(hashDomainKey(domain));
+    }
+    domainLinkIndex.get(domain).add(normalizedUrl);
+  }
+  linkIndex.get(normalizedUrl).add(link);
+  linkUrls.set(link, normalizedUrl);
+}
+
+// リンクをインデックスから外す（リンクの削除・href の変更時）
+function unindexLink(link) {
+  visibilityObserver?.unobserve(link);
+  pendingLinks.delete(link);
+
+  const normalizedUrl = linkUrls.get(link);
+  if (normalizedUrl === undefined) return;
+  linkUrls.delete(link);
+
+  const links = linkIndex.get(normalizedUrl);
+  if (!links) return;
+  links.delete(link);
+  if (links.size === 0) {
+    linkIndex.delete(normalizedUrl);
+    const domain = getUrlDomain(normalizedUrl);
+    domainLinkIndex.get(domain)?.delete(normalizedUrl);
+    if (domainLinkIndex.get(domain)?.size === 0) {
+      domainLinkIndex.delete(domain);
+    }
+  }
+}
+
+// リンクに付与したクラスを全て外す
+function unmarkLink(link) {
+  link.classList.remove(VISITED_CLASS, DOMAIN_VISITED_CLASS, ...RECENCY_CLASSES);
+}
+
+// 追加されたノード以下のリンクを集める（新しく見つかった Shadow Root 内のリンクも含む）
+function collectLinks(node) {
+  const links = [];
+  if (node.tagName === 'A' && node.hasAttribute('href')) {
+    links.push(node);
   }
+  links.push(...node.querySelectorAll('a[href]'));
+  discoverShadowRoots(node).forEach(root => {
+    links.push(...root.querySelectorAll('a[href]'));
+  });
+  return links;
+}
+
+// 削除されたノード以下のリンクを集める（削除された Shadow Root は登録を解除）
+function collectRemovedLinks(node) {
+  const links = [];
+  if (node.tagName === 'A') {
+    links.push(node);
+  }
+  links.push(...node.querySelectorAll('a[href]'));
+  shadowRoots.forEach(root => {
+    if (!root.host.isConnected) {
+      shadowRoots.delete(root);
+      links.push(...root.querySelectorAll('a[href]'));
+    }
+  });
+  return links;
+}
+
+// リンクをチェック待ちにする（画面外のリンクは表示されるまで遅らせる）
+function queueLinks(links) {
+  links.forEach(link => {
+    if (!isCheckableLink(link)) return;
+    if (visibilityObserver) {
+      visibilityObserver.observe(link);
+    } else {
+      pendingLinks.add(link);
+    }
+  });
+  scheduleFlush();
+}
+
+// チェック待ちのリンクの処理を予約（短時間の変更をまとめて処理する）
+function scheduleFlush() {
+  if (pendingLinks.size === 0 || flushTimeoutId) return;
+  flushTimeoutId = setTimeout(() => {
+    flushTimeoutId = null;
+    // タイムアウト実行時にもコンテキストをチェック
+    if (!chrome.runtime?.id) {
+      console.log('Extension context invalidated, skipping link processing');
+      return;
+    }
+    flushPendingLinks();
+  }, FLUSH_DELAY);
+}
 
-  const links = document.querySelectorAll('a[href]');
+// 表示範囲に入ったリンクをチェック待ちにする
+function handleLinksVisible(entries) {
+  entries.forEach(entry => {
+    if (!entry.isIntersecting) return;
+    visibilityObserver.unobserve(entry.target);
+    pendingLinks.add(entry.target);
+  });
+  scheduleFlush();
+}
 
-  if (links.length === 0) return;
+// チェック待ちのリンクだけを処理
+async function flushPendingLinks() {
+  const links = [...pendingLinks];
+  pendingLinks.clear();
 
   // URLとリンク要素のマップを作成
   const urlToLinks = new Map();
@@ -188,12 +512,13 @@ async function processLinks() {
 
   links.forEach(link => {
     try {
-      const href = link.href;
-      if (!href || href.startsWith('javascript:') || href.startsWith('#')) {
+      if (!link.isConnected) {
+        unindexLink(link);
         return;
       }
 
-      const normalizedUrl = normalizeUrl(href);
+      const normalizedUrl = normalizeUrl(link.href);
+      indexLink(link, normalizedUrl);
       if (!urlToLinks.has(normalizedUrl)) {
         urlToLinks.set(normalizedUrl, []);
         urls.push(normalizedUrl);
@@ -204,26 +529,71 @@ async function processLinks() {
     }
   });
 
-  // バッチ処理で効率化
-  const batchSize = 50;
-  for (let i = 0; i < urls.length; i += batchSize) {
+  registerPageLinks();
+
+  // バッチ処理で効率化（バックグラウンドはメモリ内インデックスで一括判定するため並行して送信）
+  const batches = [];
+  for (let i = 0; i < urls.length; i += BATCH_SIZE) {
+    batches.push(urls.slice(i, i + BATCH_SIZE));
+  }
+
+  await Promise.all(batches.map(async batch => {
     // 各バッチ処理前にコンテキストをチェック
     if (!chrome.runtime?.id) {
       console.log('Extension context invalidated during batch processing');
-      break;
+      return;
     }
 
-    const batch = urls.slice(i, i + batchSize);
     const results = await checkUrlsBatch(batch);
 
-    results.forEach(({ url, isVisited }) => {
-      const linkElements = urlToLinks.get(url) || [];
-      linkElements.forEach(link => markLink(link, isVisited));
+    results.forEach(result => {
+      const linkElements = urlToLinks.get(result.url) || [];
+      // チェック中に href が変わったリンクは変更後のURLで処理済み
+      linkElements
+        .filter(link => linkUrls.get(link) === result.url)
+        .forEach(link => markLink(link, result));
+    });
+  }));
+}
+
+// 新しくインデックスに登録したURL・ドメインをバックグラウンドに登録
+// バックグラウンドはリンクがあるタブにだけ新しい訪問を通知する
+function registerPageLinks() {
+  if (!registrationReset && pendingRegistrations.size === 0) {
+    return;
+  }
+
+  const message = {
+    action: 'registerPageLinks',
+    hashes: [...pendingRegistrations],
+    reset: registrationReset
+  };
+  pendingRegistrations.clear();
+  registrationReset = false;
+
+  try {
+    // 拡張機能コンテキストが有効かチェック
+    if (!chrome.runtime?.id) {
+      return;
+    }
+
+    chrome.runtime.sendMessage(message, () => {
+      if (chrome.runtime.lastError) {
+        console.log('Error registering page links:', chrome.runtime.lastError.message);
+      }
     });
+  } catch (error) {
+    console.log('Exception in registerPageLinks:', error.message);
   }
 }
 
-// Mutation ObserverでDOM変更を監視
+// ページ内の全リンクを処理（初回とURL正規化ルールの変更時）
+function processLinks() {
+  discoverShadowRoots(document.body);
+  queueLinks(querySelectorAllDeep('a[href]'));
+}
+
+// Mutation ObserverでDOM変更を監視（追加・削除されたノードと href の変更だけを処理）
 const observer = new MutationObserver((mutations) => {
   // 拡張機能コンテキストが無効な場合は処理を中止
   if (!chrome.runtime?.id) {
@@ -232,65 +602,288 @@ const observer = new MutationObserver((mutations) => {
     return;
   }
 
-  let hasNewLinks = false;
+  const addedLinks = [];
 
   for (const mutation of mutations) {
-    if (mutation.type === 'childList') {
-      for (const node of mutation.addedNodes) {
-        if (node.nodeType === Node.ELEMENT_NODE) {
-          if (node.tagName === 'A' || node.querySelector('a')) {
-            hasNewLinks = true;
-            break;
-          }
-        }
+    if (mutation.type === 'attributes') {
+      if (mutation.target.tagName !== 'A') continue;
+      // href が変わったリンクは古いURLのマークを外して再チェック
+      unindexLink(mutation.target);
+      unmarkLink(mutation.target);
+      addedLinks.push(mutation.target);
+      continue;
+    }
+
+    for (const node of mutation.removedNodes) {
+      if (node.nodeType === Node.ELEMENT_NODE && !node.isConnected) {
+        collectRemovedLinks(node).forEach(unindexLink);
       }
     }
-  }
 
-  if (hasNewLinks) {
-    // デバウンス処理
-    clearTimeout(observer.timeoutId);
-    observer.timeoutId = setTimeout(() => {
-      // タイムアウト実行時にもコンテキストをチェック
-      if (!chrome.runtime?.id) {
-        console.log('Extension context invalidated, skipping link processing');
-        return;
+    for (const node of mutation.addedNodes) {
+      if (node.nodeType === Node.ELEMENT_NODE && node.isConnected) {
+        addedLinks.push(...collectLinks(node));
       }
-      processLinks();
-    }, 300);
+    }
+  }
+
+  if (addedLinks.length > 0) {
+    queueLinks(addedLinks);
   }
 });
 
 // 特定のURLにマッチするリンクにクラスを追加
 function markUrlAsVisited(url) {
+  if (!markingEnabled) return;
+
   const normalizedUrl = normalizeUrl(url);
+  const domain = getUrlDomain(normalizedUrl);
+  const now = Date.now();
 
-  // キャッシュに保存
-  urlCache.set(normalizedUrl, true);
+  // キャッシュに保存（訪問詳細は次のホバー時に取り直す）
+  urlCache.set(normalizedUrl, now);
+  domainCache.set(domain, true);
+  linkDetailsCache.delete(normalizedUrl);
 
-  // ページ内の全てのリンクをチェック
-  const links = document.querySelectorAll('a[href]');
-  links.forEach(link => {
-    const linkUrl = normalizeUrl(link.href);
-    if (linkUrl === normalizedUrl && !link.classList.contains(VISITED_CLASS)) {
-      link.classList.add(VISITED_CLASS);
+  // インデックスから該当するリンクだけをマーク（同じドメインの未訪問リンクもドメイン訪問済みにする）
+  linkIndex.get(normalizedUrl)?.forEach(link => {
+    markLink(link, { isVisited: true, domainVisited: true, lastVisit: now });
+  });
+  domainLinkIndex.get(domain)?.forEach(linkUrl => {
+    if (linkUrl === normalizedUrl) return;
+    linkIndex.get(linkUrl).forEach(link => {
+      markLink(link, { isVisited: false, domainVisited: true });
+    });
+  });
+}
+
+// 記録が削除されたURL・ドメインのマークを外して再チェックする
+// urls: 正規化済みURL / domains: 記録が削除されたドメイン（ドメイン内の全てのリンクを再チェック）
+function forgetUrls(urls, domains) {
+  if (!markingEnabled) return;
+
+  const forgottenUrls = new Set(urls);
+  const forgottenDomains = new Set(domains);
+  const affectedDomains = new Set([...domains, ...urls.map(getUrlDomain)]);
+
+  // キャッシュを破棄（同じドメインの他のリンクはドメインの訪問状況を取り直す）
+  [...urlCache.keys()].forEach(url => {
+    if (forgottenUrls.has(url) || forgottenDomains.has(getUrlDomain(url))) {
+      urlCache.delete(url);
+      linkDetailsCache.delete(url);
     }
   });
+  affectedDomains.forEach(domain => domainCache.delete(domain));
+
+  affectedDomains.forEach(domain => {
+    domainLinkIndex.get(domain)?.forEach(linkUrl => {
+      linkIndex.get(linkUrl).forEach(link => {
+        unmarkLink(link);
+        pendingLinks.add(link);
+      });
+    });
+  });
+  scheduleFlush();
 }
 
+// リンクの訪問詳細を取得（ホバーカード用、初回ホバー時にバックグラウンドへ問い合わせ）
+async function fetchLinkDetails(url) {
+  const normalizedUrl = normalizeUrl(url);
+  if (linkDetailsCache.has(normalizedUrl)) {
+    return linkDetailsCache.get(normalizedUrl);
+  }
+
+  return new Promise((resolve) => {
+    try {
+      // 拡張機能コンテキストが有効かチェック
+      if (!chrome.runtime?.id) {
+        resolve(null);
+        return;
+      }
+
+      chrome.runtime.sendMessage(
+        { action: 'getLinkDetails', url: normalizedUrl },
+        (response) => {
+          if (chrome.runtime.lastError) {
+            console.log('Error getting link details:', chrome.runtime.lastError.message);
+            resolve(null);
+            return;
+          }
+
+          const details = response?.details || null;
+          if (details) {
+            linkDetailsCache.set(normalizedUrl, details);
+          }
+          resolve(details);
+        }
+      );
+    } catch (error) {
+      console.log('Exception in fetchLinkDetails:', error.message);
+      resolve(null);
+    }
+  });
+}
+
+// 訪問済みリンクにホバーしたら、待ち時間の後にホバーカードを表示
+// Shadow DOM 内のリンクはイベントの target がホスト要素になるため composedPath() から探す
+function handleLinkMouseOver(event) {
+  const link = event.composedPath().find(node =>
+    node instanceof Element && node.matches(`a.${VISITED_CLASS}`)
+  );
+  if (link && link === hoveredLink) {
+    return;
+  }
+
+  // 別の要素に移動した場合はホバーカードを隠す
+  hideLinkHoverCard();
+  if (!link || !markingEnabled || !displaySettings.tooltipEnabled) {
+    return;
+  }
+
+  hoveredLink = link;
+  hoverTimeoutId = setTimeout(async () => {
+    const details = await fetchLinkDetails(link.href);
+    // 取得中にホバーが外れた場合は表示しない
+    if (details && hoveredLink === link) {
+      showHoverCard(link, details);
+    }
+  }, displaySettings.tooltipDelay);
+}
+
+// ウィンドウの外にホバーが外れたらホバーカードを隠す（要素間の移動は mouseover で判定）
+function handleLinkMouseOut(event) {
+  if (hoveredLink && !event.relatedTarget) {
+    hideLinkHoverCard();
+  }
+}
+
+// ホバー状態をリセットしてホバーカードを隠す
+function hideLinkHoverCard() {
+  clearTimeout(hoverTimeoutId);
+  hoveredLink = null;
+  hideHoverCard();
+}
+
+document.addEventListener('mouseover', handleLinkMouseOver);
+document.addEventListener('mouseout', handleLinkMouseOut);
+window.addEventListener('scroll', hideLinkHoverCard, { passive: true, capture: true });
+
+// リンクのインデックスとチェック待ちのリンクを破棄
+function resetLinkIndex() {
+  linkIndex.clear();
+  domainLinkIndex.clear();
+  linkUrls = new WeakMap();
+  pendingLinks.clear();
+  pendingRegistrations.clear();
+  registrationReset = true;
+}
+
+// リンクのマークとDOM監視を開始
+function startMarking() {
+  markingEnabled = true;
+
+  // 画面外のリンクは表示範囲に近づくまでチェックしない
+  if (typeof IntersectionObserver === 'function') {
+    visibilityObserver = new IntersectionObserver(handleLinksVisible, { rootMargin: VISIBILITY_MARGIN });
+  }
+
+  // 初回処理（リンクのないページでも空の要約を登録する）
+  processLinks();
+  registerPageLinks();
+
+  // DOM監視を開始（発見済みの Shadow Root も監視する）
+  observer.observe(document.body, OBSERVER_OPTIONS);
+  shadowRoots.forEach(root => observer.observe(root, OBSERVER_OPTIONS));
+}
+
+// リンクのマークとDOM監視を停止し、付与済みのクラスを外す
+function stopMarking() {
+  markingEnabled = false;
+  observer.disconnect();
+  visibilityObserver?.disconnect();
+  visibilityObserver = null;
+  clearTimeout(flushTimeoutId);
+  flushTimeoutId = null;
+  hideLinkHoverCard();
+  resetLinkIndex();
+  // 空の要約を登録して通知を止める
+  registerPageLinks();
+
+  querySelectorAllDeep(`a.${VISITED_CLASS}, a.${DOMAIN_VISITED_CLASS}`).forEach(unmarkLink);
+}
+
+// マーク済みのリンクの経過による段階を現在のしきい値で付け直す
+function refreshRecencyClasses() {
+  linkIndex.forEach((links, normalizedUrl) => {
+    const lastVisit = urlCache.get(normalizedUrl);
+    if (lastVisit) {
+      links.forEach(link => applyRecencyClass(link, lastVisit));
+    }
+  });
+}
+
+// サイト別設定に従ってマークの有効・無効を切り替え
+function applySiteRules() {
+  const enabled = shouldMarkOnPage(getPageUrl(), siteRules);
+  if (enabled && !markingEnabled) {
+    startMarking();
+  } else if (!enabled && markingEnabled) {
+    stopMarking();
+  }
+}
+
+// 正規化ルール・サイト別設定・表示設定が変更された場合に反映
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local') {
+    return;
+  }
+
+  if (changes[SITE_RULES_STORAGE_KEY]) {
+    siteRules = mergeSiteRules(changes[SITE_RULES_STORAGE_KEY].newValue);
+    applySiteRules();
+  }
+
+  if (changes[DISPLAY_SETTINGS_STORAGE_KEY]) {
+    displaySettings = mergeDisplaySettings(changes[DISPLAY_SETTINGS_STORAGE_KEY].newValue);
+    if (!displaySettings.tooltipEnabled) {
+      hideLinkHoverCard();
+    }
+    if (markingEnabled) {
+      refreshRecencyClasses();
+    }
+  }
+
+  // 正規化ルールが変更された場合はキャッシュを破棄して再チェック
+  if (changes[URL_RULES_STORAGE_KEY]) {
+    urlRules = mergeUrlRules(changes[URL_RULES_STORAGE_KEY].newValue);
+    urlCache.clear();
+    domainCache.clear();
+    linkDetailsCache.clear();
+    pendingChecks.clear();
+    if (markingEnabled) {
+      // インデックスのURLも新しいルールで作り直す
+      resetLinkIndex();
+      processLinks();
+      registerPageLinks();
+    }
+  }
+});
+
 // 初期化
-function initialize() {
+async function initialize() {
+  // 別オリジンのフレームでは何もしない
+  if (!isSameOriginFrame()) {
+    return;
+  }
+
   // カスタムCSSを読み込んで適用
   loadAndApplyCustomCss();
 
-  // 初回処理
-  processLinks();
+  // 正規化ルールとサイト別設定を読み込んでからリンクをチェック
+  await Promise.all([loadNormalizationRules(), loadSiteSettings(), loadDisplayPreferences()]);
 
-  // DOM監視を開始
-  observer.observe(document.body, {
-    childList: true,
-    subtree: true
-  });
+  // マークしないサイトの場合はリンクをチェックしない
+  applySiteRules();
 
   console.log('Perma-Recall Link initialized');
 }
@@ -298,12 +891,27 @@ function initialize() {
 // バックグラウンドとポップアップからのメッセージをリッスン
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === 'updateCss') {
-    injectCustomCss(request.css);
+    // スタイル設定も送られてきた場合はこのページ用のスタイルを選び直す
+    if (request.css !== undefined) {
+      customCss = request.css || '';
+    }
+    if (request.styleSettings) {
+      styleSettings = mergeStyleSettings(request.styleSettings);
+    }
+    applyPageStyle();
     sendResponse({ success: true });
   } else if (request.action === 'markUrlAsVisited') {
     // 履歴に追加されたURLを即座にマーク
     markUrlAsVisited(request.url);
     sendResponse({ success: true });
+  } else if (request.action === 'markUrlsAsVisited') {
+    // バックグラウンドのタブだった間に訪問したURLをまとめてマーク
+    request.urls.forEach(markUrlAsVisited);
+    sendResponse({ success: true });
+  } else if (request.action === 'forgetUrls') {
+    // 記録が削除されたURL・ドメインのマークを外す
+    forgetUrls(request.urls || [], request.domains || []);
+    sendResponse({ success: true });
   }
 });
 
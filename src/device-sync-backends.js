@@ -0,0 +1,319 @@
+// 端末間の同期のバックエンド
+// background.js（importScripts）で使用
+// backup-crypto.js の bytesToBase64() を使用するため、backup-crypto.js の後に読み込むこと
+//
+// 各バックエンドは次のプロパティ・メソッドを持つ
+// - keyType: 差分のキーの種類（'url': 正規化済みURL / 'digest': URLのハッシュ）
+// - maxEntries: 1回の同期で送る最大件数
+// - initialWindow: 初めて同期するときに送る期間（ミリ秒、null は全ての履歴）
+// - getStateKey(settings): 状態を保存するキー（保存先が変わったら最初から同期し直す）
+// - push(entries, context): この端末の差分を書き込み、書き込んだ件数を返す
+//   （entries は最終訪問の昇順で、容量が足りない場合は先頭から書き込める分だけ書き込む。残りは次回以降の同期で書き込む）
+// - pull(context): 他の端末の差分を [{ device, entries }] で返す
+// entries: [{ key, firstVisit, lastVisit, count, title }]（count はその端末での訪問回数）
+// context: { deviceId, settings, state }（state はバックエンドごとの状態で、同期後に保存される）
+
+// chrome.storage.sync のキーの接頭辞（`prl:<端末ID>:<通し番号>`）
+const SYNC_STORAGE_PREFIX = 'prl:';
+
+// chrome.storage.sync の1アイテムの上限（QUOTA_BYTES_PER_ITEM = 8192 からキーと余裕を引いた値）
+const SYNC_STORAGE_ITEM_BYTES = 7800;
+
+// 1台の端末が chrome.storage.sync に残すアイテム数
+// 全体の上限（QUOTA_BYTES = 102400）を複数の端末で分け合うため
+// 空きがない場合は、他の端末が読み込んだ古いアイテムから削除する（読み込まれていない場合は読み込まれるまで書き込まない）
+// 最近同期した他の端末がない場合は、読み込みを待たずに古いアイテムから削除する
+const SYNC_STORAGE_ITEMS_PER_DEVICE = 4;
+
+// 各端末の読み込み位置のキーの接頭辞（`prl-ack:<端末ID>`、値は { t: 更新日時, c: { 端末ID: 読み込んだ通し番号 } }）
+const SYNC_STORAGE_ACK_PREFIX = 'prl-ack:';
+
+// 読み込みを待つ端末（これより長く同期していない端末は待たずにアイテムを削除する）
+const SYNC_STORAGE_ACK_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+// HTTPリクエストのタイムアウト（ミリ秒）
+const SYNC_HTTP_TIMEOUT = 30000;
+
+// HTTPバックエンドで1回の同期で読み込む、端末ごとの最大の差分ファイル数
+const SYNC_HTTP_MAX_DELTAS_PER_DEVICE = 20;
+
+// 時刻を秒に変換（chrome.storage.sync の容量を節約するため）
+function toSyncSeconds(timestamp) {
+  return Math.floor(timestamp / 1000);
+}
+
+// chrome.storage.sync のキーを分解（この拡張機能のキーでない場合は null）
+function parseSyncStorageKey(key) {
+  const match = key.startsWith(SYNC_STORAGE_PREFIX) && key.slice(SYNC_STORAGE_PREFIX.length).match(/^(.+):(\d+)$/);
+  return match ? { device: match[1], seq: Number(match[2]) } : null;
+}
+
+// この端末のアイテムを全ての端末が読み込んだ通し番号
+// 最近同期した他の端末の読み込み位置の最小値
+// 最近同期した他の端末がない場合は待つ端末がないため、この端末が書き込んだ全てのアイテム（lastSeq まで）を削除できる
+function getSyncStoragePulledSeq(stored, deviceId, lastSeq) {
+  const now = Date.now();
+  const cursors = Object.entries(stored)
+    .filter(([key, value]) => key.startsWith(SYNC_STORAGE_ACK_PREFIX) &&
+      key !== `${SYNC_STORAGE_ACK_PREFIX}${deviceId}` &&
+      now - (value?.t || 0) < SYNC_STORAGE_ACK_MAX_AGE)
+    .map(([, value]) => Number(value?.c?.[deviceId]) || 0);
+  return cursors.length > 0 ? Math.min(...cursors) : lastSeq;
+}
+
+// 差分を chrome.storage.sync のアイテムの容量に収まるよう分割
+// 1件は [ハッシュ, 最終訪問（秒）, 訪問回数, 初回訪問（秒）]
+function packSyncStorageEntries(entries) {
+  const chunks = [];
+  let chunk = [];
+  let size = 0;
+
+  entries.forEach(entry => {
+    const packed = [entry.key, toSyncSeconds(entry.lastVisit), entry.count, toSyncSeconds(entry.firstVisit)];
+    const packedSize = JSON.stringify(packed).length + 1;
+    if (chunk.length > 0 && size + packedSize > SYNC_STORAGE_ITEM_BYTES) {
+      chunks.push(chunk);
+      chunk = [];
+      size = 0;
+    }
+    chunk.push(packed);
+    size += packedSize;
+  });
+
+  if (chunk.length > 0) {
+    chunks.push(chunk);
+  }
+  return chunks;
+}
+
+// chrome.storage.sync のバックエンド
+// 容量が小さいため、URLのハッシュと最近の訪問だけを共有する
+const storageSyncBackend = {
+  keyType: 'digest',
+  maxEntries: 800,
+  initialWindow: 30 * 24 * 60 * 60 * 1000,
+
+  getStateKey: () => 'storageSync',
+
+  async push(entries, { deviceId, state }) {
+    const stored = await chrome.storage.sync.get(null);
+    const own = Object.keys(stored)
+      .map(key => ({ key, ...parseSyncStorageKey(key) }))
+      .filter(item => item.device === deviceId)
+      .sort((a, b) => a.seq - b.seq);
+    const chunks = packSyncStorageEntries(entries);
+
+    // 空きが足りない分だけ、全ての端末が読み込んだ古いアイテムを削除
+    // 容量を超えないよう、書き込む前に削除する
+    const pulledSeq = getSyncStoragePulledSeq(stored, deviceId, state.seq || 0);
+    const needed = chunks.length - (SYNC_STORAGE_ITEMS_PER_DEVICE - own.length);
+    const stale = own.filter(item => item.seq <= pulledSeq).slice(0, Math.max(needed, 0));
+    if (stale.length > 0) {
+      await chrome.storage.sync.remove(stale.map(item => item.key));
+    }
+
+    // 古い訪問から書き込める分だけ書き込む（entries は最終訪問の昇順）
+    const writable = chunks.slice(0, Math.max(SYNC_STORAGE_ITEMS_PER_DEVICE - own.length + stale.length, 0));
+    if (writable.length === 0) {
+      return 0;
+    }
+
+    let seq = state.seq || 0;
+    const items = {};
+    writable.forEach(chunk => {
+      seq++;
+      items[`${SYNC_STORAGE_PREFIX}${deviceId}:${seq}`] = { t: Date.now(), e: chunk };
+    });
+    await chrome.storage.sync.set(items);
+    state.seq = seq;
+    return writable.reduce((count, chunk) => count + chunk.length, 0);
+  },
+
+  async pull({ deviceId, state }) {
+    const stored = await chrome.storage.sync.get(null);
+    const cursors = { ...state.cursors };
+    const deltas = Object.entries(stored)
+      .map(([key, value]) => ({ ...parseSyncStorageKey(key), value }))
+      .filter(item => item.device && item.device !== deviceId && item.seq > (cursors[item.device] || 0))
+      .sort((a, b) => a.seq - b.seq)
+      .map(({ device, seq, value }) => {
+        cursors[device] = Math.max(cursors[device] || 0, seq);
+        return {
+          device,
+          entries: (value?.e || []).map(([key, lastVisit, count, firstVisit]) => ({
+            key,
+            lastVisit: lastVisit * 1000,
+            firstVisit: (firstVisit || lastVisit) * 1000,
+            count
+          }))
+        };
+      });
+
+    // 読み込み位置を他の端末に知らせる（読み込んでいないアイテムを削除させない）
+    await chrome.storage.sync.set({ [`${SYNC_STORAGE_ACK_PREFIX}${deviceId}`]: { t: Date.now(), c: cursors } });
+    state.cursors = cursors;
+    return deltas;
+  }
+};
+
+// サーバーのURLとパスを連結
+function joinSyncUrl(base, path) {
+  return `${base.replace(/\/+$/, '')}/${path}`;
+}
+
+// 同期サーバーへのリクエスト（ユーザー名・パスワードがあればBasic認証）
+async function syncHttpRequest(settings, method, path, { body, headers = {} } = {}) {
+  const requestHeaders = { ...headers };
+  if (settings.username || settings.password) {
+    const credentials = new TextEncoder().encode(`${settings.username}:${settings.password}`);
+    requestHeaders.Authorization = 'Basic ' + bytesToBase64(credentials);
+  }
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), SYNC_HTTP_TIMEOUT);
+  try {
+    return await fetch(joinSyncUrl(settings.url, path), {
+      method,
+      headers: requestHeaders,
+      body,
+      cache: 'no-store',
+      credentials: 'omit',
+      signal: controller.signal
+    });
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+// JSONファイルを取得（存在しない場合は null）
+async function syncHttpGetJson(settings, path) {
+  const response = await syncHttpRequest(settings, 'GET', path);
+  if (response.status === 404) {
+    return null;
+  }
+  if (!response.ok) {
+    throw new Error(`Sync server error: ${response.status} GET ${path}`);
+  }
+  return { data: await response.json(), etag: response.headers.get('ETag') };
+}
+
+// JSONファイルを書き込み
+// WebDAVでフォルダがない場合（409 Conflict）はフォルダを作成して再試行する
+// 戻り値は false（条件付きの書き込みで他の端末に先に更新された場合）/ true
+async function syncHttpPutJson(settings, path, data, headers = {}) {
+  const put = () => syncHttpRequest(settings, 'PUT', path, {
+    body: JSON.stringify(data),
+    headers: { 'Content-Type': 'application/json', ...headers }
+  });
+
+  let response = await put();
+  if (response.status === 409) {
+    const segments = path.split('/').slice(0, -1);
+    for (let i = 1; i <= segments.length; i++) {
+      // 既に存在する場合（405）も含めて結果は確認しない
+      await syncHttpRequest(settings, 'MKCOL', segments.slice(0, i).join('/') + '/');
+    }
+    response = await put();
+  }
+  if (response.status === 412) {
+    return false;
+  }
+  if (!response.ok) {
+    throw new Error(`Sync server error: ${response.status} PUT ${path}`);
+  }
+  return true;
+}
+
+// 端末の一覧（index.json）にこの端末を登録
+// 複数の端末が同時に書き込んでも失われないよう、ETag による条件付きの書き込みで再試行する
+async function registerSyncHttpDevice(settings, deviceId) {
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const index = await syncHttpGetJson(settings, 'index.json');
+    const devices = Array.isArray(index?.data?.devices) ? index.data.devices : [];
+    if (devices.includes(deviceId)) {
+      return;
+    }
+
+    const condition = !index ? { 'If-None-Match': '*' } : (index.etag ? { 'If-Match': index.etag } : {});
+    const written = await syncHttpPutJson(settings, 'index.json', {
+      format: 'perma-recall-link-sync',
+      version: 1,
+      devices: [...devices, deviceId]
+    }, condition);
+    if (written) {
+      return;
+    }
+  }
+  throw new Error('Failed to register device on sync server');
+}
+
+// WebDAV / HTTPサーバーのバックエンド
+// サーバー上の構成:
+// - index.json: 端末の一覧
+// - devices/<端末ID>.json: 端末ごとの最新の差分の通し番号
+// - deltas/<端末ID>/<通し番号>.json: 差分（1件は [URL, 初回訪問, 最終訪問, 訪問回数, タイトル]）
+// 各端末は自分のファイルだけを書き込むため、index.json 以外は競合しない
+const httpSyncBackend = {
+  keyType: 'url',
+  maxEntries: 5000,
+  initialWindow: null,
+
+  getStateKey: settings => `http:${settings.http.url}`,
+
+  async push(entries, { deviceId, settings, state }) {
+    const server = settings.http;
+    if (!state.registered) {
+      await registerSyncHttpDevice(server, deviceId);
+      state.registered = true;
+    }
+
+    const seq = (state.seq || 0) + 1;
+    await syncHttpPutJson(server, `deltas/${deviceId}/${seq}.json`, {
+      device: deviceId,
+      seq,
+      time: Date.now(),
+      entries: entries.map(entry => [entry.key, entry.firstVisit, entry.lastVisit, entry.count, entry.title])
+    });
+    await syncHttpPutJson(server, `devices/${deviceId}.json`, { device: deviceId, seq, updated: Date.now() });
+    state.seq = seq;
+    return entries.length;
+  },
+
+  async pull({ deviceId, settings, state }) {
+    const server = settings.http;
+    const index = await syncHttpGetJson(server, 'index.json');
+    const devices = Array.isArray(index?.data?.devices) ? index.data.devices : [];
+    const cursors = { ...state.cursors };
+    const deltas = [];
+
+    for (const device of devices.filter(id => id !== deviceId)) {
+      const manifest = await syncHttpGetJson(server, `devices/${device}.json`);
+      const latest = Number(manifest?.data?.seq) || 0;
+      let cursor = cursors[device] || 0;
+      const last = Math.min(latest, cursor + SYNC_HTTP_MAX_DELTAS_PER_DEVICE);
+
+      while (cursor < last) {
+        cursor++;
+        const delta = await syncHttpGetJson(server, `deltas/${device}/${cursor}.json`);
+        if (Array.isArray(delta?.data?.entries)) {
+          deltas.push({
+            device,
+            entries: delta.data.entries.map(([key, firstVisit, lastVisit, count, title]) => ({
+              key, firstVisit, lastVisit, count, title
+            }))
+          });
+        }
+      }
+      cursors[device] = cursor;
+    }
+
+    state.cursors = cursors;
+    return deltas;
+  }
+};
+
+// 同期のバックエンドの一覧
+const DEVICE_SYNC_BACKEND_IMPLEMENTATIONS = {
+  storageSync: storageSyncBackend,
+  http: httpSyncBackend
+};
@@ -0,0 +1,35 @@
+// 端末間の同期の設定
+// background.js（importScripts）、popup.js（scriptタグ）で共有
+
+// chrome.storage.local の保存キー（認証情報を含むため chrome.storage.sync には保存しない）
+const DEVICE_SYNC_SETTINGS_STORAGE_KEY = 'deviceSyncSettings';
+
+// 同期のバックエンド
+// storageSync: chrome.storage.sync（URLのハッシュのみ、最近の訪問のみ）
+// http: WebDAV / HTTPサーバー（URLを含む全ての訪問）
+const DEVICE_SYNC_BACKENDS = ['storageSync', 'http'];
+
+// デフォルトの同期設定
+const DEFAULT_DEVICE_SYNC_SETTINGS = {
+  enabled: false,
+  backend: 'storageSync',
+  http: {
+    url: '',
+    username: '',
+    password: ''
+  }
+};
+
+// 保存された設定にデフォルト値を補完（サーバーのURLは http / https のみ）
+function mergeDeviceSyncSettings(stored) {
+  const url = String(stored?.http?.url || '').trim();
+  return {
+    enabled: stored?.enabled === true,
+    backend: DEVICE_SYNC_BACKENDS.includes(stored?.backend) ? stored.backend : DEFAULT_DEVICE_SYNC_SETTINGS.backend,
+    http: {
+      url: /^https?:\/\/[^/]/i.test(url) ? url : '',
+      username: String(stored?.http?.username || ''),
+      password: String(stored?.http?.password || '')
+    }
+  };
+}
@@ -0,0 +1,72 @@
+// リンクの表示設定（ホバーカード、経過による段階など）
+// content.js（content_scripts）、popup.js（scriptタグ）で共有
+
+// chrome.storage.local の保存キー
+const DISPLAY_SETTINGS_STORAGE_KEY = 'displaySettings';
+
+// ホバーカードを表示するまでの待ち時間の範囲（ミリ秒）
+const TOOLTIP_DELAY_MIN = 0;
+const TOOLTIP_DELAY_MAX = 5000;
+
+// 最終訪問からの経過による段階（新しい順）
+// 各段階のリンクには extension-perma-recalled-<段階> クラスを付与する
+const RECENCY_LEVELS = ['recent', 'month', 'year', 'old'];
+
+// 1日のミリ秒数
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// デフォルトの表示設定
+// recencyThresholds: 各段階の上限（最終訪問からの経過日数）、これを超えると old
+const DEFAULT_DISPLAY_SETTINGS = {
+  tooltipEnabled: true,
+  tooltipDelay: 500,
+  recencyThresholds: {
+    recent: 7,
+    month: 30,
+    year: 365
+  }
+};
+
+// 経過日数のしきい値を整形（0以上の整数で、段階の順に単調増加させる）
+function mergeRecencyThresholds(stored) {
+  const thresholds = {};
+  let previous = 0;
+  ['recent', 'month', 'year'].forEach(level => {
+    const days = Number(stored?.[level]);
+    const value = Number.isFinite(days) && days >= 0
+      ? Math.round(days)
+      : DEFAULT_DISPLAY_SETTINGS.recencyThresholds[level];
+    thresholds[level] = Math.max(value, previous);
+    previous = thresholds[level];
+  });
+  return thresholds;
+}
+
+// 最終訪問日時から経過による段階を判定
+function getRecencyLevel(lastVisit, thresholds, now = Date.now()) {
+  const ageDays = (now - lastVisit) / DAY_MS;
+  if (ageDays <= thresholds.recent) return 'recent';
+  if (ageDays <= thresholds.month) return 'month';
+  if (ageDays <= thresholds.year) return 'year';
+  return 'old';
+}
+
+// 保存された設定にデフォルト値を補完
+function mergeDisplaySettings(stored) {
+  const delay = Number(stored?.tooltipDelay);
+  return {
+    tooltipEnabled: typeof stored?.tooltipEnabled === 'boolean'
+      ? stored.tooltipEnabled
+      : DEFAULT_DISPLAY_SETTINGS.tooltipEnabled,
+    tooltipDelay: Number.isFinite(delay)
+      ? Math.min(Math.max(Math.round(delay), TOOLTIP_DELAY_MIN), TOOLTIP_DELAY_MAX)
+      : DEFAULT_DISPLAY_SETTINGS.tooltipDelay,
+    recencyThresholds: mergeRecencyThresholds(stored?.recencyThresholds)
+  };
+}
+
+// 保存された設定を読み込み
+async function loadDisplaySettings() {
+  const result = await chrome.storage.local.get([DISPLAY_SETTINGS_STORAGE_KEY]);
+  return mergeDisplaySettings(result[DISPLAY_SETTINGS_STORAGE_KEY]);
+}
@@ -0,0 +1,113 @@
+// 履歴のエクスポート形式
+// background.js（importScripts）、popup.js（scriptタグ、インポートの報告のTSVのエスケープ）で使用
+// 各形式は header / formatRecords / footer の文字列をつなげて1つのファイルにする
+// （レコードはカーソルで少しずつ読み込むため、formatRecords はチャンクごとに呼ばれる）
+
+// エクスポートファイルの形式のバージョン（JSON形式に記録）
+const EXPORT_FORMAT_VERSION = 1;
+
+// TSVのフィールドをエスケープ（バックスラッシュ、タブ、改行）
+// バックスラッシュを先にエスケープし、元の \t などの文字列と区別できるようにする
+function escapeTsvField(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\t/g, '\\t')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r');
+}
+
+// CSVのフィールドをエスケープ（RFC 4180: カンマ・引用符・改行を含む場合は引用符で囲む）
+function escapeCsvField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// HTMLの特殊文字をエスケープ
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// ミリ秒をUnix時間（秒）に変換（ブックマークHTMLの日時）
+function toUnixSeconds(timestamp) {
+  return Math.floor((timestamp || 0) / 1000);
+}
+
+// CSVの列（全てのメタデータ）
+const CSV_COLUMNS = ['url', 'lastVisit', 'firstVisit', 'visitCount', 'title', 'context', 'domain', 'protected'];
+
+// エクスポート形式の一覧
+// formatRecords(records, index) の index はチャンクの先頭レコードの通し番号（0始まり）
+const EXPORTERS = {
+  // レコードの全てのフィールドを含むJSON
+  json: {
+    extension: 'json',
+    mimeType: 'application/json',
+    header: () => `{"format":"perma-recall-link","version":${EXPORT_FORMAT_VERSION},"exportedAt":${Date.now()},"records":[\n`,
+    formatRecords: (records, index) =>
+      records.map((record, i) => (index + i > 0 ? ',\n' : '') + JSON.stringify(record)).join(''),
+    footer: () => '\n]}\n'
+  },
+
+  // RFC 4180 形式のCSV（改行は CRLF）
+  csv: {
+    extension: 'csv',
+    mimeType: 'text/csv',
+    header: () => CSV_COLUMNS.join(',') + '\r\n',
+    formatRecords: records =>
+      records.map(record =>
+        CSV_COLUMNS.map(column => escapeCsvField(column === 'protected' ? !!record.protected : record[column])).join(',') + '\r\n'
+      ).join(''),
+    footer: () => ''
+  },
+
+  // Netscape形式のブックマークHTML（ブラウザのブックマークのインポートで読み込める）
+  html: {
+    extension: 'html',
+    mimeType: 'text/html',
+    header: () => [
+      '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+      '<!-- This is an automatically generated file.',
+      '     It will be read and overwritten.',
+      '     DO NOT EDIT! -->',
+      '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+      '<TITLE>Bookmarks</TITLE>',
+      '<H1>Bookmarks</H1>',
+      '<DL><p>',
+      `    <DT><H3 ADD_DATE="${toUnixSeconds(Date.now())}">Perma-Recall Link</H3>`,
+      '    <DL><p>',
+      ''
+    ].join('\n'),
+    formatRecords: records =>
+      records.map(record =>
+        `        <DT><A HREF="${escapeHtml(record.url)}" ADD_DATE="${toUnixSeconds(record.firstVisit)}" ` +
+        `LAST_VISIT="${toUnixSeconds(record.lastVisit)}">${escapeHtml(record.title || record.url)}</A>\n`
+      ).join(''),
+    footer: () => '    </DL><p>\n</DL><p>\n'
+  },
+
+  // 従来のTSV形式（TSVからのインポートで復元できる）
+  // 2列目の timestamp は最終訪問日時（旧形式のTSVとの互換性のため）
+  tsv: {
+    extension: 'tsv',
+    mimeType: 'text/tab-separated-values',
+    header: () => 'url\ttimestamp\tfirstVisit\tvisitCount\ttitle\tcontext\n',
+    formatRecords: records =>
+      records.map(record =>
+        `${escapeTsvField(record.url)}\t${record.lastVisit}\t${record.firstVisit}\t${record.visitCount}\t${escapeTsvField(record.title)}\t${record.context}\n`
+      ).join(''),
+    footer: () => ''
+  }
+};
+
+// エクスポート形式を取得（不明な形式の場合はエラー）
+function getExporter(format) {
+  const exporter = EXPORTERS[format];
+  if (!exporter) {
+    throw new Error('Unknown export format: ' + format);
+  }
+  return exporter;
+}
@@ -0,0 +1,254 @@
+// i18n関数
+function getMessage(key, substitutions) {
+  return chrome.i18n.getMessage(key, substitutions);
+}
+
+// DOM要素に多言語テキストを適用
+function localizeHtmlPage() {
+  const elements = document.querySelectorAll('[data-i18n]');
+  elements.forEach(element => {
+    const key = element.getAttribute('data-i18n');
+    const message = getMessage(key);
+    if (message) {
+      element.textContent = message;
+    }
+  });
+}
+
+// 1ページあたりの表示件数
+const PAGE_SIZE = 50;
+
+// DOM要素の取得
+const searchForm = document.getElementById('searchForm');
+const searchTextInput = document.getElementById('searchText');
+const searchDomainInput = document.getElementById('searchDomain');
+const searchSortSelect = document.getElementById('searchSort');
+const searchFromInput = document.getElementById('searchFrom');
+const searchToInput = document.getElementById('searchTo');
+const resultSummary = document.getElementById('resultSummary');
+const resultBody = document.getElementById('resultBody');
+const loadMoreBtn = document.getElementById('loadMoreBtn');
+
+// 現在の検索条件と続きの位置
+let currentQuery = null;
+let nextPosition = null;
+let shownCount = 0;
+let totalCount = null;
+
+// 日時を表示用に整形
+function formatDate(timestamp) {
+  if (!timestamp) return '-';
+  return new Date(timestamp).toLocaleString(chrome.i18n.getUILanguage());
+}
+
+// 入力欄から検索条件を組み立て
+function buildQuery() {
+  const [sortBy, order] = searchSortSelect.value.split(':');
+
+  // 日付はローカル時刻の0時〜23時59分59秒として扱う
+  const from = searchFromInput.value ? new Date(`${searchFromInput.value}T00:00:00`).getTime() : null;
+  const to = searchToInput.value ? new Date(`${searchToInput.value}T23:59:59.999`).getTime() : null;
+
+  return {
+    text: searchTextInput.value,
+    domain: searchDomainInput.value,
+    sortBy,
+    order,
+    from,
+    to,
+    limit: PAGE_SIZE
+  };
+}
+
+// 件数の表示を更新
+function updateSummary() {
+  resultSummary.className = 'result-summary';
+  if (totalCount !== null) {
+    resultSummary.textContent = getMessage('historyResultTotal', [shownCount.toLocaleString(), totalCount.toLocaleString()]);
+  } else {
+    resultSummary.textContent = getMessage('historyResultShown', [shownCount.toLocaleString()]);
+  }
+}
+
+// 検索結果の行を作成
+function createRow(record) {
+  const row = document.createElement('tr');
+
+  const pageCell = document.createElement('td');
+  const titleLink = document.createElement('a');
+  titleLink.className = 'page-title';
+  titleLink.href = record.url;
+  titleLink.target = '_blank';
+  titleLink.rel = 'noopener noreferrer';
+  titleLink.textContent = record.title || record.url;
+  titleLink.title = record.title || record.url;
+
+  const urlText = document.createElement('span');
+  urlText.className = 'page-url';
+  urlText.textContent = record.url;
+  urlText.title = record.url;
+
+  pageCell.appendChild(titleLink);
+  pageCell.appendChild(urlText);
+
+  // シークレットウィンドウでのみ訪問したページ
+  if (record.context === 'incognito') {
+    const badge = document.createElement('span');
+    badge.className = 'context-badge';
+    badge.textContent = getMessage('historyIncognitoBadge');
+    pageCell.appendChild(badge);
+  }
+
+  // Chrome履歴からの削除を反映しない記録
+  const protectedBadge = document.createElement('span');
+  protectedBadge.className = 'context-badge protected-badge';
+  protectedBadge.textContent = getMessage('historyProtectedBadge');
+  protectedBadge.hidden = !record.protected;
+  pageCell.appendChild(protectedBadge);
+
+  const firstVisitCell = document.createElement('td');
+  firstVisitCell.textContent = formatDate(record.firstVisit);
+
+  const lastVisitCell = document.createElement('td');
+  lastVisitCell.textContent = formatDate(record.lastVisit);
+
+  const countCell = document.createElement('td');
+  countCell.textContent = (record.visitCount || 1).toLocaleString();
+
+  const actionCell = document.createElement('td');
+  const protectBtn = document.createElement('button');
+  protectBtn.className = 'protect-btn';
+  protectBtn.textContent = getMessage(record.protected ? 'historyUnprotectButton' : 'historyProtectButton');
+  protectBtn.addEventListener('click', () => toggleProtected(record, protectBtn, protectedBadge));
+  actionCell.appendChild(protectBtn);
+
+  const deleteBtn = document.createElement('button');
+  deleteBtn.className = 'delete-btn';
+  deleteBtn.textContent = getMessage('historyDeleteButton');
+  deleteBtn.addEventListener('click', () => deleteRecord(record.url, row));
+  actionCell.appendChild(deleteBtn);
+
+  row.appendChild(pageCell);
+  row.appendChild(firstVisitCell);
+  row.appendChild(lastVisitCell);
+  row.appendChild(countCell);
+  row.appendChild(actionCell);
+  return row;
+}
+
+// 検索を実行（reset が true の場合は最初のページから）
+async function runSearch(reset) {
+  if (reset) {
+    currentQuery = buildQuery();
+    nextPosition = null;
+    shownCount = 0;
+    totalCount = null;
+    resultBody.textContent = '';
+  }
+
+  loadMoreBtn.disabled = true;
+  resultSummary.className = 'result-summary';
+  resultSummary.textContent = getMessage('statsLoading');
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'searchHistory',
+      query: { ...currentQuery, after: nextPosition }
+    });
+
+    if (response.error) {
+      // プライバシーモードではURLを保存していないため検索できない
+      resultSummary.className = 'result-summary error';
+      resultSummary.textContent = response.errorCode === 'privacyMode'
+        ? getMessage('privacyModeUnavailable')
+        : getMessage('statusError', [response.error]);
+      return;
+    }
+
+    response.items.forEach(record => {
+      resultBody.appendChild(createRow(record));
+    });
+
+    shownCount += response.items.length;
+    if (response.total !== null) {
+      totalCount = response.total;
+    }
+    nextPosition = response.next;
+    updateSummary();
+
+    loadMoreBtn.style.display = nextPosition ? 'inline-block' : 'none';
+  } catch (error) {
+    console.error('Search error:', error);
+    resultSummary.className = 'result-summary error';
+    resultSummary.textContent = getMessage('statusError', [error.message]);
+  } finally {
+    loadMoreBtn.disabled = false;
+  }
+}
+
+// レコードの保護を切り替え
+async function toggleProtected(record, button, badge) {
+  const isProtected = !record.protected;
+  button.disabled = true;
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'setProtected',
+      url: record.url,
+      protected: isProtected
+    });
+
+    if (response.error) {
+      alert(getMessage('statusError', [response.error]));
+      return;
+    }
+
+    record.protected = isProtected;
+    button.textContent = getMessage(isProtected ? 'historyUnprotectButton' : 'historyProtectButton');
+    badge.hidden = !isProtected;
+  } catch (error) {
+    console.error('Protect error:', error);
+    alert(getMessage('statusError', [error.message]));
+  } finally {
+    button.disabled = false;
+  }
+}
+
+// レコードを削除
+async function deleteRecord(url, row) {
+  if (!confirm(getMessage('historyDeleteConfirm', [url]))) {
+    return;
+  }
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'deleteUrl', url });
+
+    if (response.error) {
+      alert(getMessage('statusError', [response.error]));
+      return;
+    }
+
+    row.remove();
+    shownCount = Math.max(shownCount - 1, 0);
+    if (totalCount !== null) {
+      totalCount = Math.max(totalCount - 1, 0);
+    }
+    updateSummary();
+  } catch (error) {
+    console.error('Delete error:', error);
+    alert(getMessage('statusError', [error.message]));
+  }
+}
+
+// イベントリスナーの設定
+searchForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  runSearch(true);
+});
+loadMoreBtn.addEventListener('click', () => runSearch(false));
+
+// 初期化
+document.addEventListener('DOMContentLoaded', () => {
+  localizeHtmlPage();
+  runSearch(true);
+});
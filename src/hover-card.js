@@ -0,0 +1,130 @@
+// 訪問済みリンクのホバーカード（初回・最終訪問日時、訪問回数、タイトル）
+// content.js より先に content_scripts で読み込む
+// ページのCSSの影響を受けないよう Shadow DOM 内に描画する
+
+// ホバーカードのホスト要素のID
+const HOVER_CARD_HOST_ID = 'perma-recall-hover-card';
+
+// ホバーカード内のスタイル
+const HOVER_CARD_CSS = `
+:host {
+  all: initial;
+}
+
+.card {
+  position: fixed;
+  z-index: 2147483647;
+  max-width: 320px;
+  padding: 8px 10px;
+  border-radius: 6px;
+  background: #263238;
+  color: #eceff1;
+  font: 12px/1.5 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+  box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3);
+  pointer-events: none;
+}
+
+.title {
+  margin-bottom: 4px;
+  font-weight: 600;
+  overflow: hidden;
+  text-overflow: ellipsis;
+  white-space: nowrap;
+}
+
+.row {
+  display: flex;
+  gap: 8px;
+}
+
+.label {
+  color: #b0bec5;
+}
+`;
+
+// ホバーカードの要素（初回表示時に作成）
+let hoverCard = null;
+
+// Shadow DOM を持つホスト要素を作成
+function createHoverCard() {
+  const host = document.createElement('div');
+  host.id = HOVER_CARD_HOST_ID;
+  const shadow = host.attachShadow({ mode: 'closed' });
+
+  const style = document.createElement('style');
+  style.textContent = HOVER_CARD_CSS;
+
+  const card = document.createElement('div');
+  card.className = 'card';
+  card.hidden = true;
+
+  shadow.append(style, card);
+  return { host, card };
+}
+
+// 日時を表示用に整形
+function formatHoverCardDate(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleString() : '-';
+}
+
+// ラベルと値の行を作成
+function createHoverCardRow(labelKey, value) {
+  const row = document.createElement('div');
+  row.className = 'row';
+
+  const label = document.createElement('span');
+  label.className = 'label';
+  label.textContent = chrome.i18n.getMessage(labelKey);
+
+  const text = document.createElement('span');
+  text.textContent = value;
+
+  row.append(label, text);
+  return row;
+}
+
+// リンクの近くにホバーカードを表示
+// details: { title, firstVisit, lastVisit, visitCount }
+function showHoverCard(link, details) {
+  if (!hoverCard) {
+    hoverCard = createHoverCard();
+  }
+  if (!hoverCard.host.isConnected) {
+    document.documentElement.appendChild(hoverCard.host);
+  }
+
+  const { card } = hoverCard;
+  card.replaceChildren();
+
+  if (details.title) {
+    const title = document.createElement('div');
+    title.className = 'title';
+    title.textContent = details.title;
+    card.appendChild(title);
+  }
+
+  card.append(
+    createHoverCardRow('hoverCardFirstVisit', formatHoverCardDate(details.firstVisit)),
+    createHoverCardRow('hoverCardLastVisit', formatHoverCardDate(details.lastVisit)),
+    createHoverCardRow('hoverCardVisitCount', String(details.visitCount || 1))
+  );
+
+  // リンクの下に表示し、画面外にはみ出す場合は上に表示
+  card.hidden = false;
+  const rect = link.getBoundingClientRect();
+  const cardRect = card.getBoundingClientRect();
+  const top = rect.bottom + 6 + cardRect.height > window.innerHeight
+    ? rect.top - 6 - cardRect.height
+    : rect.bottom + 6;
+  const left = Math.min(rect.left, window.innerWidth - cardRect.width - 8);
+
+  card.style.top = `${Math.max(top, 0)}px`;
+  card.style.left = `${Math.max(left, 0)}px`;
+}
+
+// ホバーカードを隠す
+function hideHoverCard() {
+  if (hoverCard) {
+    hoverCard.card.hidden = true;
+  }
+}
@@ -0,0 +1,409 @@
+// 他のブラウザ・ツールの履歴エクスポートの読み込み
+// popup.js（scriptタグ）で使用
+// 各形式のファイルを { url, title, firstVisit, lastVisit, visitCount } のレコードに変換し、
+// バックグラウンドで既存レコードと統合する（訪問日時は元のファイルの値を保持する）
+
+// Core Data の基準日時（2001-01-01）と Unix 時間の差（秒）（Safari の visit_time）
+const CORE_DATA_EPOCH_OFFSET = 978307200;
+
+// CSVの列名の候補（汎用CSVの列の割り当ての初期値に使用）
+const IMPORT_FIELD_ALIASES = {
+  url: ['url', 'uri', 'href', 'link'],
+  title: ['title', 'name'],
+  lastVisit: ['last_visit_date', 'lastvisit', 'last_visit', 'lastvisittime', 'last_visit_time', 'visit_time', 'visit_date', 'time_usec', 'timestamp', 'date'],
+  firstVisit: ['first_visit_date', 'firstvisit', 'first_visit', 'dateadded', 'date_added'],
+  visitCount: ['visit_count', 'visitcount', 'visits', 'count']
+};
+
+// インポートできる列（汎用CSVの列の割り当ての順）
+const IMPORT_FIELDS = ['url', 'title', 'lastVisit', 'firstVisit', 'visitCount'];
+
+// 列名を比較用に整形（大文字・小文字、空白の違いを無視）
+function normalizeImportColumnName(name) {
+  return String(name).trim().toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+// RFC 4180 形式のCSVを少しずつ読み込むパーサーを作成（引用符内のカンマ・改行に対応）
+// push(text) は読み込んだテキストで完成した行の配列を、end() は最後の行を返す
+// 引用符や改行がテキストの区切りをまたいでも同じ結果になる
+function createCsvParser() {
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  // 引用符内で " を読んだ直後（次の文字が " ならエスケープ）
+  let quotePending = false;
+  // \r を読んだ直後（次の文字が \n なら読み飛ばす）
+  let skipLineFeed = false;
+  let started = false;
+
+  // 行を確定（空行は除外）
+  const finishRow = rows => {
+    row.push(field);
+    if (row.some(cell => cell.trim())) {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  return {
+    push(text) {
+      const rows = [];
+
+      // 先頭のBOMを取り除く
+      if (!started) {
+        text = text.replace(/^\uFEFF/, '');
+        started = text.length > 0;
+      }
+
+      for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (skipLineFeed) {
+          skipLineFeed = false;
+          if (char === '\n') continue;
+        }
+        if (quotePending) {
+          quotePending = false;
+          if (char === '"') {
+            field += '"';
+            continue;
+          }
+          inQuotes = false;
+        }
+
+        if (inQuotes) {
+          if (char === '"') {
+            quotePending = true;
+          } else {
+            field += char;
+          }
+        } else if (char === '"') {
+          inQuotes = true;
+        } else if (char === ',') {
+          row.push(field);
+          field = '';
+        } else if (char === '\n' || char === '\r') {
+          skipLineFeed = char === '\r';
+          finishRow(rows);
+        } else {
+          field += char;
+        }
+      }
+
+      return rows;
+    },
+
+    end() {
+      const rows = [];
+      if (field || row.length > 0) {
+        finishRow(rows);
+      }
+      return rows;
+    }
+  };
+}
+
+// RFC 4180 形式のCSVを行の配列に変換
+function parseCsv(text) {
+  const parser = createCsvParser();
+  return [...parser.push(text), ...parser.end()];
+}
+
+// CSVのヘッダー（1行目）の列名を取得
+function readCsvColumns(text) {
+  const [header] = parseCsv(text.split(/\r?\n/, 1)[0]);
+  return (header || []).map(name => name.trim());
+}
+
+// CSVを少しずつ読み込み、ヘッダーの列名をキーにしたオブジェクトを返すリーダーを作成
+function createCsvObjectReader() {
+  const parser = createCsvParser();
+  let columns = null;
+
+  const toObjects = rows => {
+    if (!columns && rows.length > 0) {
+      columns = rows.shift().map(name => name.trim());
+    }
+    return rows.map(cells => Object.fromEntries(columns.map((name, i) => [name, cells[i] ?? ''])));
+  };
+
+  return {
+    push: text => toObjects(parser.push(text)),
+    end: () => toObjects(parser.end())
+  };
+}
+
+// JSONの配列の要素を少しずつ読み込むリーダーを作成（ファイル全体を1つのオブジェクトにしない）
+// 対象の配列: JSON全体が配列の場合はその配列、オブジェクトの場合は keys のキーの配列
+// （見つからない場合は最初の配列の値）
+// push(text) は読み込んだテキストで完成した要素の配列を、end() は残りの要素を返す
+function createJsonArrayReader(keys = []) {
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let topLevelObject = false;
+  // 最上位のオブジェクトで次に読む文字列がキーか
+  let expectKey = false;
+  let keyText = null;
+  let key = null;
+  // 読み込み中の配列（depth: 配列の直下の深さ / fallback: キーが一致しない最初の配列）
+  let target = null;
+  let matched = false;
+  let fallbackFound = false;
+  const fallbackItems = [];
+  let item = '';
+
+  // 読み終えた要素を変換
+  const finishItem = items => {
+    const text = item.trim();
+    item = '';
+    if (text) {
+      (target.fallback ? fallbackItems : items).push(JSON.parse(text));
+    }
+  };
+
+  return {
+    push(text) {
+      const items = [];
+      // 対象の配列の要素は1文字ずつではなく、区切りまでをまとめて切り出す
+      let itemStart = 0;
+
+      for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inString) {
+          if (keyText !== null) keyText += char;
+          if (escaped) {
+            escaped = false;
+          } else if (char === '\\') {
+            escaped = true;
+          } else if (char === '"') {
+            inString = false;
+            if (keyText !== null) {
+              key = JSON.parse(`"${keyText}`);
+              keyText = null;
+            }
+          }
+          continue;
+        }
+
+        if (char === '"') {
+          inString = true;
+          if (!target && topLevelObject && depth === 1 && expectKey) {
+            keyText = '';
+            expectKey = false;
+          }
+        } else if (target && depth === target.depth && (char === ',' || char === ']')) {
+          item += text.slice(itemStart, i);
+          itemStart = i + 1;
+          finishItem(items);
+          if (char === ']') {
+            depth--;
+            matched = matched || !target.fallback;
+            target = null;
+          }
+        } else if (char === '{' || char === '[') {
+          depth++;
+          if (depth === 1 && char === '{') {
+            topLevelObject = true;
+            expectKey = true;
+          } else if (char === '[' && !target && !matched && (depth === 1 || (topLevelObject && depth === 2))) {
+            if (depth === 1 || keys.includes(key)) {
+              target = { depth, fallback: false };
+              fallbackItems.length = 0;
+            } else if (!fallbackFound) {
+              target = { depth, fallback: true };
+              fallbackFound = true;
+            }
+            itemStart = i + 1;
+            item = '';
+          }
+        } else if (char === '}' || char === ']') {
+          depth--;
+        } else if (char === ',' && topLevelObject && depth === 1) {
+          expectKey = true;
+        }
+      }
+
+      if (target) {
+        item += text.slice(itemStart);
+      }
+      return items;
+    },
+
+    end() {
+      if (depth !== 0 || inString) {
+        throw new Error('Unexpected end of JSON input');
+      }
+      return matched ? [] : fallbackItems.splice(0);
+    }
+  };
+}
+
+// 日時をミリ秒に変換
+// unit: 'auto'（数値の桁数で秒・ミリ秒・マイクロ秒を判定）/ 'usec' / 'coreData'
+// 数値でない場合は日付の文字列として解釈する
+function parseImportTimestamp(value, unit = 'auto') {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return null;
+  }
+
+  const number = Number(value);
+  let timestamp;
+  if (!Number.isFinite(number)) {
+    timestamp = Date.parse(value);
+  } else if (unit === 'coreData') {
+    timestamp = (number + CORE_DATA_EPOCH_OFFSET) * 1000;
+  } else if (unit === 'usec' || number >= 1e14) {
+    timestamp = number / 1000;
+  } else if (number < 1e11) {
+    timestamp = number * 1000;
+  } else {
+    timestamp = number;
+  }
+
+  return Number.isFinite(timestamp) && timestamp > 0 ? Math.round(timestamp) : null;
+}
+
+// http / https のURLか
+function isImportableUrl(url) {
+  return /^https?:\/\//i.test(String(url || '').trim());
+}
+
+// 行を少しずつURLごとのレコードに集約するアキュムレーターを作成
+// mapping: { url, title, lastVisit, firstVisit, visitCount } → 行のキー（列名）
+// 訪問回数の列がある場合はその最大値（URLの合計値が行ごとに入っている形式のため）、
+// ない場合は行数（1行 = 1回の訪問）を訪問回数とする
+// take() は集約したレコードと除外した行数を返して空にする。訪問回数の列がある場合は
+// 既存レコードと訪問回数の大きい方で統合されるため途中でも返すが、ない場合は同じURLの行を
+// ファイル全体で数えるため take(true)（最後）まで返さない
+function createImportAccumulator(mapping, unit = 'auto') {
+  let records = new Map();
+  let skipped = 0;
+
+  return {
+    add(rows) {
+      rows.forEach(row => {
+        const url = String(row?.[mapping.url] ?? '').trim();
+        const lastVisit = parseImportTimestamp(row?.[mapping.lastVisit], unit);
+        if (!isImportableUrl(url) || !lastVisit) {
+          skipped++;
+          return;
+        }
+
+        const firstVisit = mapping.firstVisit ? parseImportTimestamp(row[mapping.firstVisit], unit) : null;
+        const count = mapping.visitCount ? parseInt(row[mapping.visitCount], 10) : NaN;
+        const title = mapping.title ? String(row[mapping.title] ?? '') : '';
+
+        const existing = records.get(url);
+        if (!existing) {
+          records.set(url, {
+            url,
+            title,
+            firstVisit: Math.min(firstVisit || lastVisit, lastVisit),
+            lastVisit,
+            visitCount: mapping.visitCount ? (count > 0 ? count : 1) : 1
+          });
+          return;
+        }
+
+        existing.firstVisit = Math.min(existing.firstVisit, firstVisit || lastVisit, lastVisit);
+        if (lastVisit >= existing.lastVisit) {
+          existing.lastVisit = lastVisit;
+          existing.title = title || existing.title;
+        } else {
+          existing.title = existing.title || title;
+        }
+        existing.visitCount = mapping.visitCount
+          ? Math.max(existing.visitCount, count > 0 ? count : 1)
+          : existing.visitCount + 1;
+      });
+    },
+
+    take(final = false) {
+      if (!final && !mapping.visitCount) {
+        return { records: [], skipped: 0 };
+      }
+      const result = { records: [...records.values()], skipped };
+      records = new Map();
+      skipped = 0;
+      return result;
+    }
+  };
+}
+
+// オブジェクトの列名から割り当てを推測（見つからない列は null）
+function guessImportMapping(columns) {
+  const normalized = columns.map(normalizeImportColumnName);
+  const mapping = {};
+  IMPORT_FIELDS.forEach(field => {
+    const index = IMPORT_FIELD_ALIASES[field]
+      .map(alias => normalized.indexOf(alias))
+      .find(i => i !== -1);
+    mapping[field] = index === undefined ? null : columns[index];
+  });
+  return mapping;
+}
+
+// Firefox の places のエクスポート（moz_places / moz_historyvisits の列）の列の割り当て
+// 日時は PRTime（マイクロ秒）
+function getFirefoxMapping(columns) {
+  const mapping = guessImportMapping(columns);
+  if (!mapping.url || !mapping.lastVisit) {
+    throw new Error('Missing url or visit date column');
+  }
+  return mapping;
+}
+
+// インポート形式の一覧
+// createReader() はファイルのテキストを少しずつ受け取り、行（オブジェクト）を返すリーダーを作成する
+// getMapping(columns) は最初に読み込んだ行のキーから列の割り当てを決め、unit は日時の単位
+const IMPORTERS = {
+  // Google Takeout の BrowserHistory.json（1項目 = 1回の訪問、日時はマイクロ秒）
+  takeout: {
+    accept: '.json',
+    createReader: () => createJsonArrayReader(['Browser History']),
+    getMapping: () => ({ url: 'url', title: 'title', lastVisit: 'time_usec' }),
+    unit: 'usec'
+  },
+
+  // Firefox の places のJSONエクスポート
+  firefoxJson: {
+    accept: '.json',
+    createReader: () => createJsonArrayReader(['places', 'history']),
+    getMapping: getFirefoxMapping,
+    unit: 'auto'
+  },
+
+  // Firefox の places のCSVエクスポート
+  firefoxCsv: {
+    accept: '.csv,.txt',
+    createReader: createCsvObjectReader,
+    getMapping: getFirefoxMapping,
+    unit: 'auto'
+  },
+
+  // Safari の History.db のCSVエクスポート（url, title, visit_time, visit_count）
+  // visit_time は Core Data の日時（2001-01-01 からの秒数）
+  safariCsv: {
+    accept: '.csv,.txt',
+    createReader: createCsvObjectReader,
+    getMapping: columns => {
+      const mapping = guessImportMapping(columns);
+      if (!mapping.url || !mapping.lastVisit) {
+        throw new Error('Missing url or visit_time column');
+      }
+      return mapping;
+    },
+    unit: 'coreData'
+  },
+
+  // 汎用CSV（列の割り当てはポップアップで指定）
+  csv: {
+    accept: '.csv,.txt',
+    needsMapping: true,
+    createReader: createCsvObjectReader,
+    unit: 'auto'
+  }
+};
@@ -0,0 +1,48 @@
+// 自動バックアップのファイルを作成するオフスクリーンドキュメント
+// サービスワーカーでは使用できない URL.createObjectURL() でダウンロード用のURLを作成する
+// （作成したURLはドキュメントを閉じると解放される）
+
+// 全ての履歴を指定した形式でエクスポートし、Blob URL を作成
+// ポップアップのエクスポートと同じく、バックグラウンドからチャンクごとに受け取ってつなげる
+async function createBackupUrl(format) {
+  const parts = [];
+  let after = null;
+  let exported = 0;
+  let response;
+
+  do {
+    response = await chrome.runtime.sendMessage({ action: 'exportHistory', format, after, exported });
+    if (response.error) {
+      throw new Error(response.error);
+    }
+    parts.push(response.data);
+    exported += response.count;
+    after = response.next;
+  } while (after);
+
+  const blob = new Blob(parts, { type: response.mimeType });
+  return {
+    url: URL.createObjectURL(blob),
+    count: exported,
+    extension: response.extension
+  };
+}
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.target !== 'offscreen') {
+    return;
+  }
+
+  if (request.action === 'createBackupUrl') {
+    createBackupUrl(request.format)
+      .then(result => {
+        sendResponse(result);
+      })
+      .catch(error => {
+        console.error('Error creating backup:', error);
+        sendResponse({ error: error.message });
+      });
+
+    return true;
+  }
+});
@@ -24,6 +24,8 @@ function localizeHtmlPage() {
 // DOM要素の取得
 const urlCountEl = document.getElementById('urlCount');
 const lastImportEl = document.getElementById('lastImport');
+const lastBackupEl = document.getElementById('lastBackup');
+const browseBtn = document.getElementById('browseBtn');
 const importBtn = document.getElementById('importBtn');
 const clearBtn = document.getElementById('clearBtn');
 const statusMessage = document.getElementById('statusMessage');
@@ -33,10 +35,87 @@ const progressText = document.getElementById('progressText');
 const customCssInput = document.getElementById('customCss');
 const saveCssBtn = document.getElementById('saveCssBtn');
 const resetCssBtn = document.getElementById('resetCssBtn');
-const previewLink = document.getElementById('previewLink');
+const previewLinks = document.querySelectorAll('.preview-link');
+const styleModeInputs = document.querySelectorAll('input[name="styleMode"]');
+const stylePresetEditor = document.getElementById('stylePresetEditor');
+const stylePresetSelect = document.getElementById('stylePreset');
+const styleColorInput = document.getElementById('styleColor');
+const styleThicknessInput = document.getElementById('styleThickness');
+const styleThicknessValue = document.getElementById('styleThicknessValue');
+const styleOpacityInput = document.getElementById('styleOpacity');
+const styleOpacityValue = document.getElementById('styleOpacityValue');
+const customCssGroup = document.getElementById('customCssGroup');
+const sitePresetsEl = document.getElementById('sitePresets');
+const addSitePresetBtn = document.getElementById('addSitePresetBtn');
+const deleteDomainInput = document.getElementById('deleteDomain');
+const deleteFromInput = document.getElementById('deleteFrom');
+const deleteToInput = document.getElementById('deleteTo');
+const deletePatternInput = document.getElementById('deletePattern');
+const deletePatternRegexInput = document.getElementById('deletePatternRegex');
+const deletePreview = document.getElementById('deletePreview');
+const countDeleteBtn = document.getElementById('countDeleteBtn');
+const deleteMatchingBtn = document.getElementById('deleteMatchingBtn');
 const exportBtn = document.getElementById('exportBtn');
+const exportFormatSelect = document.getElementById('exportFormat');
+const exportDomainInput = document.getElementById('exportDomain');
+const exportFromInput = document.getElementById('exportFrom');
+const exportToInput = document.getElementById('exportTo');
+const exportGzipInput = document.getElementById('exportGzip');
+const exportEncryptInput = document.getElementById('exportEncrypt');
+const exportPassphraseGroup = document.getElementById('exportPassphraseGroup');
+const exportPassphraseInput = document.getElementById('exportPassphrase');
+const exportPassphraseConfirmInput = document.getElementById('exportPassphraseConfirm');
 const importTsvBtn = document.getElementById('importTsvBtn');
 const tsvFileInput = document.getElementById('tsvFileInput');
+const tsvMergeStrategySelect = document.getElementById('tsvMergeStrategy');
+const tsvReportBtn = document.getElementById('tsvReportBtn');
+const importPassphrasePrompt = document.getElementById('importPassphrasePrompt');
+const importPassphraseInput = document.getElementById('importPassphrase');
+const startEncryptedImportBtn = document.getElementById('startEncryptedImportBtn');
+const cancelEncryptedImportBtn = document.getElementById('cancelEncryptedImportBtn');
+const browserImportFormatSelect = document.getElementById('browserImportFormat');
+const browserImportBtn = document.getElementById('browserImportBtn');
+const browserImportFileInput = document.getElementById('browserImportFileInput');
+const importMappingEl = document.getElementById('importMapping');
+const importMappingSelects = document.querySelectorAll('.import-mapping-select');
+const startMappedImportBtn = document.getElementById('startMappedImportBtn');
+const cancelMappedImportBtn = document.getElementById('cancelMappedImportBtn');
+const neverRecordSitesInput = document.getElementById('neverRecordSites');
+const neverMarkSitesInput = document.getElementById('neverMarkSites');
+const markModeAllInput = document.getElementById('markModeAll');
+const markModeAllowlistInput = document.getElementById('markModeAllowlist');
+const markOnlySitesInput = document.getElementById('markOnlySites');
+const saveSiteRulesBtn = document.getElementById('saveSiteRulesBtn');
+const incognitoPolicyInputs = document.querySelectorAll('input[name="incognitoPolicy"]');
+const mirrorHistoryDeletionsInput = document.getElementById('mirrorHistoryDeletions');
+const privacyModeEnabledInput = document.getElementById('privacyModeEnabled');
+const privacyModeNotice = document.getElementById('privacyModeNotice');
+const privacyModeDisableBtn = document.getElementById('privacyModeDisableBtn');
+const backupEnabledInput = document.getElementById('backupEnabled');
+const backupIntervalSelect = document.getElementById('backupInterval');
+const backupFormatSelect = document.getElementById('backupFormat');
+const backupFolderInput = document.getElementById('backupFolder');
+const backupRetentionInput = document.getElementById('backupRetention');
+const backupNowBtn = document.getElementById('backupNowBtn');
+const deviceSyncStatusEl = document.getElementById('deviceSyncStatus');
+const deviceSyncEnabledInput = document.getElementById('deviceSyncEnabled');
+const deviceSyncBackendSelect = document.getElementById('deviceSyncBackend');
+const deviceSyncHttpGroup = document.getElementById('deviceSyncHttpGroup');
+const deviceSyncUrlInput = document.getElementById('deviceSyncUrl');
+const deviceSyncUsernameInput = document.getElementById('deviceSyncUsername');
+const deviceSyncPasswordInput = document.getElementById('deviceSyncPassword');
+const deviceSyncNowBtn = document.getElementById('deviceSyncNowBtn');
+const tooltipEnabledInput = document.getElementById('tooltipEnabled');
+const tooltipDelayInput = document.getElementById('tooltipDelay');
+const recencyInputs = {
+  recent: document.getElementById('recencyRecent'),
+  month: document.getElementById('recencyMonth'),
+  year: document.getElementById('recencyYear')
+};
+const urlRulePresetsEl = document.getElementById('urlRulePresets');
+const customUrlRulesEl = document.getElementById('customUrlRules');
+const addUrlRuleBtn = document.getElementById('addUrlRuleBtn');
+const saveUrlRulesBtn = document.getElementById('saveUrlRulesBtn');
 
 // ステータスメッセージを表示
 function showStatus(message, type = 'info') {
@@ -52,6 +131,13 @@ function showStatus(message, type = 'info') {
   }
 }
 
+// バックグラウンドのエラー応答を表示用の文言に変換（プライバシーモードで使用できない機能は理由を表示）
+function getResponseErrorMessage(response) {
+  return response.errorCode === 'privacyMode'
+    ? getMessage('privacyModeUnavailable')
+    : getMessage('statusError', [response.error]);
+}
+
 // プログレスバーを表示/更新
 function updateProgress(percent, text = '') {
   progressBar.style.display = 'block';
@@ -77,19 +163,23 @@ async function loadStats() {
 
     urlCountEl.textContent = response.count.toLocaleString();
 
-    if (response.lastImportTime) {
-      const date = new Date(response.lastImportTime);
-      const locale = chrome.i18n.getUILanguage();
-      lastImportEl.textContent = date.toLocaleString(locale);
-    } else {
-      lastImportEl.textContent = getMessage('statsNotExecuted');
-    }
+    const locale = chrome.i18n.getUILanguage();
+    [[lastImportEl, response.lastImportTime], [lastBackupEl, response.lastBackupTime]].forEach(([el, time]) => {
+      el.textContent = time
+        ? new Date(time).toLocaleString(locale)
+        : getMessage('statsNotExecuted');
+    });
   } catch (error) {
     console.error('Failed to load stats:', error);
     urlCountEl.textContent = 'Error';
   }
 }
 
+// 履歴ブラウザを開く
+function openHistoryPage() {
+  chrome.tabs.create({ url: chrome.runtime.getURL('history.html') });
+}
+
 // 履歴のインポート
 async function importHistory() {
   if (!confirm(getMessage('importConfirm'))) {
@@ -108,28 +198,10 @@ async function importHistory() {
     if (response.error) {
       showStatus(getMessage('statusError', [response.error]), 'error');
       hideProgress();
+      importBtn.disabled = false;
+      clearBtn.disabled = false;
     } else {
-      // 進行状況の監視
-      const checkProgress = setInterval(async () => {
-        const progressResponse = await chrome.runtime.sendMessage({ action: 'getImportProgress' });
-
-        if (progressResponse.inProgress) {
-          const percent = Math.round((progressResponse.imported / progressResponse.total) * 100);
-          updateProgress(percent, `${progressResponse.imported} / ${progressResponse.total}`);
-        } else {
-          clearInterval(checkProgress);
-          updateProgress(100, getMessage('progressComplete'));
-          showStatus(getMessage('statusImportComplete', [progressResponse.imported.toString()]), 'success');
-
-          setTimeout(() => {
-            hideProgress();
-            loadStats();
-          }, 2000);
-
-          importBtn.disabled = false;
-          clearBtn.disabled = false;
-        }
-      }, 500);
+      watchImportProgress();
     }
   } catch (error) {
     console.error('Import error:', error);
@@ -140,6 +212,63 @@ async function importHistory() {
   }
 }
 
+// インポートの進行状況を監視
+// サービスワーカーが再起動された場合もチェックポイントから進行状況が返される
+function watchImportProgress() {
+  const checkProgress = setInterval(async () => {
+    let progressResponse;
+    try {
+      progressResponse = await chrome.runtime.sendMessage({ action: 'getImportProgress' });
+    } catch (error) {
+      // サービスワーカーの再起動中は次回の確認を待つ
+      console.log('Failed to get import progress:', error.message);
+      return;
+    }
+
+    if (progressResponse.inProgress) {
+      const percent = progressResponse.total > 0
+        ? Math.round((progressResponse.imported / progressResponse.total) * 100)
+        : 0;
+      updateProgress(percent, `${progressResponse.imported} / ${progressResponse.total}`);
+      return;
+    }
+
+    clearInterval(checkProgress);
+
+    if (progressResponse.error) {
+      showStatus(getMessage('statusError', [progressResponse.error]), 'error');
+      hideProgress();
+    } else {
+      updateProgress(100, getMessage('progressComplete'));
+      showStatus(getMessage('statusImportComplete', [progressResponse.imported.toString()]), 'success');
+
+      setTimeout(() => {
+        hideProgress();
+        loadStats();
+      }, 2000);
+    }
+
+    importBtn.disabled = false;
+    clearBtn.disabled = false;
+  }, 500);
+}
+
+// ポップアップを開いた時点でインポート中（再開中を含む）であれば進行状況を表示
+async function resumeImportProgress() {
+  try {
+    const progressResponse = await chrome.runtime.sendMessage({ action: 'getImportProgress' });
+    if (progressResponse.inProgress) {
+      importBtn.disabled = true;
+      clearBtn.disabled = true;
+      showStatus(getMessage('statusImporting'), 'info');
+      updateProgress(0, getMessage('progressImporting'));
+      watchImportProgress();
+    }
+  } catch (error) {
+    console.error('Failed to get import progress:', error);
+  }
+}
+
 // 履歴のクリア
 async function clearHistory() {
   if (!confirm(getMessage('clearConfirm'))) {
@@ -182,15 +311,146 @@ const DEFAULT_CSS = `a.extension-perma-recalled {
   border-radius: 3px !important;
   padding: 2px 4px !important;
   background-color: rgba(0, 136, 170, 0.05) !important;
+}
+
+a.extension-perma-recalled-recent {
+  background-color: rgba(0, 136, 170, 0.12) !important;
+}
+
+a.extension-perma-recalled-month {
+  border-color: #4BA3BF !important;
+}
+
+a.extension-perma-recalled-year {
+  border-color: #8CC3D4 !important;
+  background-color: transparent !important;
+}
+
+a.extension-perma-recalled-old {
+  border-color: #B0BEC5 !important;
+  background-color: transparent !important;
+}
+
+a.extension-perma-recalled-domain {
+  border: 1px dashed #0088AA !important;
+  border-radius: 3px !important;
+  padding: 2px 4px !important;
 }`;
 
-// カスタムCSSの読み込み
+// プリセットIDとメッセージキーの対応
+const STYLE_PRESET_MESSAGES = {
+  border: 'stylePresetBorder',
+  underline: 'stylePresetUnderline',
+  dimmed: 'stylePresetDimmed',
+  strikethrough: 'stylePresetStrikethrough',
+  badge: 'stylePresetBadge',
+  background: 'stylePresetBackground',
+  advanced: 'stylePresetAdvanced'
+};
+
+// プリセットの選択肢を追加（サイト別の場合は「カスタムCSS」も選べる）
+function fillStylePresetOptions(select, includeAdvanced) {
+  const presets = includeAdvanced ? [...STYLE_PRESETS, 'advanced'] : STYLE_PRESETS;
+  presets.forEach(id => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = getMessage(STYLE_PRESET_MESSAGES[id]);
+    select.appendChild(option);
+  });
+}
+
+// サイト別プリセットの行を追加
+function addSitePresetRow(entry = {}) {
+  const row = document.createElement('div');
+  row.className = 'site-preset-row';
+
+  const siteInput = document.createElement('input');
+  siteInput.type = 'text';
+  siteInput.className = 'text-input site-preset-site';
+  siteInput.placeholder = getMessage('sitePresetsSitePlaceholder');
+  siteInput.value = entry.site || '';
+
+  const presetSelect = document.createElement('select');
+  presetSelect.className = 'text-input site-preset-preset';
+  fillStylePresetOptions(presetSelect, true);
+  presetSelect.value = entry.preset || DEFAULT_STYLE_SETTINGS.preset;
+
+  const removeBtn = document.createElement('button');
+  removeBtn.className = 'url-rule-remove';
+  removeBtn.textContent = getMessage('urlRulesRemoveButton');
+  removeBtn.addEventListener('click', () => row.remove());
+
+  row.appendChild(siteInput);
+  row.appendChild(presetSelect);
+  row.appendChild(removeBtn);
+  sitePresetsEl.appendChild(row);
+}
+
+// フォームの内容からスタイル設定を作成
+function collectStyleSettings() {
+  const mode = [...styleModeInputs].find(input => input.checked)?.value;
+  const sitePresets = [...sitePresetsEl.querySelectorAll('.site-preset-row')].map(row => ({
+    site: row.querySelector('.site-preset-site').value,
+    preset: row.querySelector('.site-preset-preset').value
+  }));
+
+  return mergeStyleSettings({
+    mode,
+    preset: stylePresetSelect.value,
+    options: {
+      color: styleColorInput.value,
+      thickness: styleThicknessInput.value,
+      opacity: styleOpacityInput.value
+    },
+    sitePresets
+  });
+}
+
+// スタイル設定をフォームに反映
+function fillStyleSettings(settings) {
+  styleModeInputs.forEach(input => {
+    input.checked = input.value === settings.mode;
+  });
+  stylePresetSelect.value = settings.preset;
+  styleColorInput.value = settings.options.color;
+  styleThicknessInput.value = settings.options.thickness;
+  styleOpacityInput.value = settings.options.opacity;
+
+  sitePresetsEl.innerHTML = '';
+  settings.sitePresets.forEach(entry => addSitePresetRow(entry));
+}
+
+// プレビューに使うCSS（プリセットの場合は生成したCSS）
+function getPreviewCss(settings) {
+  return settings.mode === 'preset'
+    ? buildPresetCss(settings.preset, settings.options)
+    : customCssInput.value;
+}
+
+// 指定方法とプリセットに応じてフォームの表示を切り替え、プレビューを更新
+function updateStyleEditorState() {
+  const settings = collectStyleSettings();
+  const usedOptions = STYLE_PRESET_OPTIONS[settings.preset];
+
+  stylePresetEditor.style.display = settings.mode === 'preset' ? '' : 'none';
+  customCssGroup.style.display = settings.mode === 'advanced' ? '' : 'none';
+  styleColorInput.disabled = !usedOptions.includes('color');
+  styleThicknessInput.disabled = !usedOptions.includes('thickness');
+  styleOpacityInput.disabled = !usedOptions.includes('opacity');
+  styleThicknessValue.textContent = `${settings.options.thickness}px`;
+  styleOpacityValue.textContent = `${Math.round(settings.options.opacity * 100)}%`;
+
+  applyPreviewCss(getPreviewCss(settings));
+}
+
+// スタイル設定とカスタムCSSの読み込み
 async function loadCustomCss() {
   try {
-    const result = await chrome.storage.local.get(['customCss']);
+    const result = await chrome.storage.local.get(['customCss', STYLE_SETTINGS_STORAGE_KEY]);
+    fillStyleSettings(mergeStyleSettings(result[STYLE_SETTINGS_STORAGE_KEY]));
+
     if (result.customCss !== undefined) {
       customCssInput.value = result.customCss;
-      applyPreviewCss(result.customCss);
     } else {
       // 初回起動時はデフォルトCSSを表示
       customCssInput.value = DEFAULT_CSS;
@@ -199,6 +459,8 @@ async function loadCustomCss() {
     console.error('Failed to load custom CSS:', error);
     customCssInput.value = DEFAULT_CSS;
   }
+
+  updateStyleEditorState();
 }
 
 // プレビューにCSSを適用
@@ -218,25 +480,31 @@ function applyPreviewCss(css) {
   }
 }
 
-// カスタムCSSの保存
+// スタイル設定とカスタムCSSの保存
 async function saveCustomCss() {
   const css = customCssInput.value.trim();
+  const styleSettings = collectStyleSettings();
 
   try {
-    await chrome.storage.local.set({ customCss: css });
+    await chrome.storage.local.set({
+      customCss: css,
+      [STYLE_SETTINGS_STORAGE_KEY]: styleSettings
+    });
 
-    // 全てのタブにメッセージを送信してCSSを更新
+    // 全てのタブにメッセージを送信してCSSを更新（サイト別のスタイルは各タブで選ぶ）
     const tabs = await chrome.tabs.query({});
     tabs.forEach(tab => {
       chrome.tabs.sendMessage(tab.id, {
         action: 'updateCss',
-        css: css
+        css: css,
+        styleSettings
       }).catch(() => {
         // タブがコンテンツスクリプトを持っていない場合はエラーを無視
       });
     });
 
-    applyPreviewCss(css);
+    fillStyleSettings(styleSettings);
+    applyPreviewCss(getPreviewCss(styleSettings));
     showStatus(getMessage('cssSaveSuccess') || 'CSS保存完了', 'success');
   } catch (error) {
     console.error('Failed to save custom CSS:', error);
@@ -251,15 +519,18 @@ async function resetCustomCss() {
   }
 
   try {
-    await chrome.storage.local.remove('customCss');
+    await chrome.storage.local.remove(['customCss', STYLE_SETTINGS_STORAGE_KEY]);
     customCssInput.value = DEFAULT_CSS;
+    fillStyleSettings(DEFAULT_STYLE_SETTINGS);
+    updateStyleEditorState();
 
     // 全てのタブにメッセージを送信してCSSをリセット
     const tabs = await chrome.tabs.query({});
     tabs.forEach(tab => {
       chrome.tabs.sendMessage(tab.id, {
         action: 'updateCss',
-        css: ''
+        css: '',
+        styleSettings: DEFAULT_STYLE_SETTINGS
       }).catch(() => {});
     });
 
@@ -276,42 +547,202 @@ async function resetCustomCss() {
   }
 }
 
-// CSS入力のリアルタイムプレビュー
+// CSS入力・スタイルのフォームのリアルタイムプレビュー
 customCssInput.addEventListener('input', () => {
   applyPreviewCss(customCssInput.value);
 });
+styleModeInputs.forEach(input => {
+  input.addEventListener('change', updateStyleEditorState);
+});
+[stylePresetSelect, styleColorInput, styleThicknessInput, styleOpacityInput].forEach(input => {
+  input.addEventListener('input', updateStyleEditorState);
+});
+addSitePresetBtn.addEventListener('click', () => addSitePresetRow());
 
-// 履歴のエクスポート（TSV）
-async function exportHistory() {
-  exportBtn.disabled = true;
-  showStatus('エクスポート中...', 'info');
+// 選択削除の条件を取得（条件が不正な場合はエラーを表示して null を返す）
+function collectDeleteFilter() {
+  const filter = {
+    domain: deleteDomainInput.value.trim(),
+    from: deleteFromInput.value ? new Date(`${deleteFromInput.value}T00:00:00`).getTime() : null,
+    to: deleteToInput.value ? new Date(`${deleteToInput.value}T23:59:59.999`).getTime() : null,
+    pattern: deletePatternInput.value.trim(),
+    regex: deletePatternRegexInput.checked
+  };
+
+  if (!filter.domain && !filter.from && !filter.to && !filter.pattern) {
+    showStatus(getMessage('selectiveDeleteNoCondition'), 'error');
+    return null;
+  }
+  if (filter.regex && filter.pattern) {
+    try {
+      new RegExp(filter.pattern);
+    } catch (error) {
+      showStatus(getMessage('selectiveDeleteInvalidRegex', [error.message]), 'error');
+      return null;
+    }
+  }
+  return filter;
+}
 
+// 条件が変わったら件数を確認し直すまで削除できないようにする
+function resetDeletePreview() {
+  deletePreview.hidden = true;
+  deleteMatchingBtn.disabled = true;
+}
+
+// 削除対象の件数を確認（実際には削除しない）
+async function countMatchingRecords() {
+  resetDeletePreview();
+  const filter = collectDeleteFilter();
+  if (!filter) return;
+
+  countDeleteBtn.disabled = true;
   try {
-    const response = await chrome.runtime.sendMessage({ action: 'exportHistory' });
+    const response = await chrome.runtime.sendMessage({ action: 'deleteMatching', filter, dryRun: true });
 
     if (response.error) {
-      showStatus(`エラー: ${response.error}`, 'error');
+      showStatus(getResponseErrorMessage(response), 'error');
     } else {
-      // TSVデータをBlobとして作成
-      const blob = new Blob([response.data], { type: 'text/tab-separated-values' });
-      const url = URL.createObjectURL(blob);
+      deletePreview.textContent = getMessage('selectiveDeletePreview', [response.count.toString()]);
+      deletePreview.hidden = false;
+      deleteMatchingBtn.disabled = response.count === 0;
+    }
+  } catch (error) {
+    console.error('Count error:', error);
+    showStatus(getMessage('statusError', [error.message]), 'error');
+  } finally {
+    countDeleteBtn.disabled = false;
+  }
+}
+
+// 条件に一致する記録を削除
+async function deleteMatchingRecords() {
+  const filter = collectDeleteFilter();
+  if (!filter) return;
+
+  if (!confirm(getMessage('selectiveDeleteConfirm'))) {
+    return;
+  }
+
+  countDeleteBtn.disabled = true;
+  deleteMatchingBtn.disabled = true;
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'deleteMatching', filter });
+
+    if (response.error) {
+      showStatus(getResponseErrorMessage(response), 'error');
+    } else {
+      showStatus(getMessage('selectiveDeleteComplete', [response.count.toString()]), 'success');
+      resetDeletePreview();
+      loadStats();
+    }
+  } catch (error) {
+    console.error('Delete error:', error);
+    showStatus(getMessage('statusError', [error.message]), 'error');
+  } finally {
+    countDeleteBtn.disabled = false;
+  }
+}
+
+// Blobをファイルとしてダウンロード
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+
+  // ダウンロードリンクを作成
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+// 暗号化する場合はTSV形式のみ（gzip圧縮はしない）
+function updateExportEncryptState() {
+  const encrypt = exportEncryptInput.checked;
+  exportPassphraseGroup.hidden = !encrypt;
+  if (encrypt) {
+    exportFormatSelect.value = 'tsv';
+    exportGzipInput.checked = false;
+  }
+  exportFormatSelect.disabled = encrypt;
+  exportGzipInput.disabled = encrypt;
+}
+
+// 履歴のエクスポート
+// バックグラウンドからチャンクごとに受け取り、1つの文字列にせずBlobとしてつなげる
+// 暗号化する場合は最初の呼び出しでパスフレーズを渡し、以降はバックグラウンドが返す encryptionId を渡す
+async function exportHistory() {
+  const format = exportFormatSelect.value;
+  const passphrase = exportEncryptInput.checked ? exportPassphraseInput.value : null;
+  if (passphrase !== null) {
+    if (passphrase.length < BACKUP_PASSPHRASE_MIN_LENGTH) {
+      showStatus(getMessage('passphraseTooShort', [BACKUP_PASSPHRASE_MIN_LENGTH.toString()]), 'error');
+      return;
+    }
+    if (passphrase !== exportPassphraseConfirmInput.value) {
+      showStatus(getMessage('passphraseMismatch'), 'error');
+      return;
+    }
+  }
+
+  const filter = {
+    domain: exportDomainInput.value.trim(),
+    from: exportFromInput.value ? new Date(`${exportFromInput.value}T00:00:00`).getTime() : null,
+    to: exportToInput.value ? new Date(`${exportToInput.value}T23:59:59.999`).getTime() : null
+  };
+
+  exportBtn.disabled = true;
+  showStatus(getMessage('statusExporting'), 'info');
+
+  try {
+    const parts = [];
+    let after = null;
+    let exported = 0;
+    let encryptionId = null;
+    let response;
+
+    do {
+      response = await chrome.runtime.sendMessage({
+        action: 'exportHistory',
+        format,
+        filter,
+        after,
+        exported,
+        passphrase: encryptionId ? null : passphrase,
+        encryptionId
+      });
+      if (response.error) {
+        showStatus(getResponseErrorMessage(response), 'error');
+        return;
+      }
+      parts.push(response.data);
+      exported += response.count;
+      after = response.next;
+      encryptionId = response.encryptionId || null;
+      updateProgress(0, getMessage('progressExporting', [exported.toString()]));
+    } while (after);
 
-      // ダウンロードリンクを作成
-      const a = document.createElement('a');
-      a.href = url;
-      const date = new Date().toISOString().split('T')[0];
-      a.download = `perma-recall-history-${date}.tsv`;
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
+    let blob = new Blob(parts, { type: response.mimeType });
+    let filename = `perma-recall-history-${new Date().toISOString().split('T')[0]}.${response.extension}`;
 
-      showStatus('エクスポート完了', 'success');
+    // gzip圧縮（ストリームで圧縮するため全体を2重に持たない）
+    if (exportGzipInput.checked) {
+      const stream = blob.stream().pipeThrough(new CompressionStream('gzip'));
+      blob = await new Response(stream, { headers: { 'Content-Type': 'application/gzip' } }).blob();
+      filename += '.gz';
     }
+
+    downloadBlob(blob, filename);
+    exportPassphraseInput.value = '';
+    exportPassphraseConfirmInput.value = '';
+    showStatus(getMessage('statusExportComplete', [exported.toString()]), 'success');
   } catch (error) {
     console.error('Export error:', error);
-    showStatus(`エラー: ${error.message}`, 'error');
+    showStatus(getMessage('statusError', [error.message]), 'error');
   } finally {
+    hideProgress();
     exportBtn.disabled = false;
   }
 }
@@ -321,68 +752,1007 @@ async function importFromTSV() {
   tsvFileInput.click();
 }
 
-// TSVファイルの読み込みとインポート
-async function handleTsvFile(event) {
+// 列の割り当てを待っている汎用CSVのファイル
+let pendingImportFile = null;
+
+// 汎用CSVの列名を読み取る際に読み込むファイルの先頭のサイズ（バイト）
+const CSV_HEADER_READ_SIZE = 64 * 1024;
+
+// 他のブラウザからのインポート（形式に合わせてファイルを選択）
+function startBrowserImport() {
+  hideImportMapping();
+  browserImportFileInput.accept = IMPORTERS[browserImportFormatSelect.value].accept;
+  browserImportFileInput.click();
+}
+
+// 他のブラウザの履歴ファイルの読み込み
+async function handleBrowserImportFile(event) {
   const file = event.target.files[0];
+  // ファイル入力をリセット
+  browserImportFileInput.value = '';
   if (!file) return;
 
-  importTsvBtn.disabled = true;
-  showStatus('インポート中...', 'info');
-  updateProgress(0, 'ファイル読み込み中...');
+  const format = browserImportFormatSelect.value;
+  const importer = IMPORTERS[format];
 
   try {
-    const text = await file.text();
+    // 汎用CSVは列の割り当てを指定してから読み込む（列名はファイルの先頭だけを読んで取得する）
+    if (importer.needsMapping) {
+      showImportMapping(file, readCsvColumns(await file.slice(0, CSV_HEADER_READ_SIZE).text()));
+      return;
+    }
+
+    await importBrowserFile(file, importer);
+  } catch (error) {
+    console.error('Browser import error:', error);
+    showStatus(getMessage('browserImportParseError', [error.message]), 'error');
+  }
+}
+
+// 汎用CSVの列の割り当てを表示（列名から推測した割り当てを初期値にする）
+function showImportMapping(file, columns) {
+  const guessed = guessImportMapping(columns);
+
+  importMappingSelects.forEach(select => {
+    select.textContent = '';
+    const none = document.createElement('option');
+    none.value = '';
+    none.textContent = getMessage('importMappingNone');
+    select.appendChild(none);
+
+    columns.forEach(column => {
+      const option = document.createElement('option');
+      option.value = column;
+      option.textContent = column;
+      select.appendChild(option);
+    });
+    select.value = guessed[select.dataset.field] || '';
+  });
+
+  pendingImportFile = file;
+  importMappingEl.hidden = false;
+}
+
+// 列の割り当てを閉じる
+function hideImportMapping() {
+  pendingImportFile = null;
+  importMappingEl.hidden = true;
+}
+
+// 指定した列の割り当てで汎用CSVを読み込む
+async function startMappedImport() {
+  const mapping = {};
+  importMappingSelects.forEach(select => {
+    mapping[select.dataset.field] = select.value || null;
+  });
+
+  if (!mapping.url || !mapping.lastVisit) {
+    showStatus(getMessage('importMappingRequired'), 'error');
+    return;
+  }
+
+  const file = pendingImportFile;
+  hideImportMapping();
+  try {
+    await importBrowserFile(file, IMPORTERS.csv, mapping);
+  } catch (error) {
+    console.error('Browser import error:', error);
+    showStatus(getMessage('browserImportParseError', [error.message]), 'error');
+  }
+}
+
+// 他のブラウザの履歴ファイルを少しずつ読み込み、変換したレコードをバッチごとにバックグラウンドへ送ってインポート
+// ファイル全体を1つの文字列・オブジェクトにしないため、大きなファイルもインポートできる
+// mapping: 汎用CSVの列の割り当て（省略時は最初に読み込んだ行のキーから形式ごとに決める）
+async function importBrowserFile(file, importer, mapping = null) {
+  const batchSize = 500;
+  const reader = importer.createReader();
+  let accumulator = mapping ? createImportAccumulator(mapping, importer.unit) : null;
+  let imported = 0;
+  let rejected = 0;
+
+  // 集約したレコードをバッチごとに送信（エラーの場合は false）
+  const sendRecords = async ({ records, skipped }) => {
+    rejected += skipped;
+    for (let i = 0; i < records.length; i += batchSize) {
+      const response = await chrome.runtime.sendMessage({
+        action: 'importRecords',
+        records: records.slice(i, i + batchSize)
+      });
+
+      if (response.error) {
+        showStatus(getMessage('statusError', [response.error]), 'error');
+        return false;
+      }
+      imported += response.imported;
+      rejected += response.skipped;
+    }
+    return true;
+  };
+
+  // 読み込んだ行を集約し、送れるレコードを送信
+  const addRows = async rows => {
+    if (rows.length === 0) return true;
+    if (!accumulator) {
+      const columns = [...new Set(rows.flatMap(row => Object.keys(row || {})))];
+      accumulator = createImportAccumulator(importer.getMapping(columns), importer.unit);
+    }
+    accumulator.add(rows);
+    return sendRecords(accumulator.take());
+  };
+
+  browserImportBtn.disabled = true;
+  showStatus(getMessage('statusImporting'), 'info');
+
+  try {
+    for await (const text of readFileChunks(file, createFileProgressHandler(file))) {
+      if (!await addRows(reader.push(text))) return;
+    }
+    if (!await addRows(reader.end())) return;
+    if (accumulator && !await sendRecords(accumulator.take(true))) return;
+
+    showStatus(getMessage('browserImportComplete', [imported.toString(), rejected.toString()]), 'success');
+    loadStats();
+  } finally {
+    hideProgress();
+    browserImportBtn.disabled = false;
+  }
+}
+
+// TSVのインポートで一度に送る行数（1回の送信が1トランザクション）
+const TSV_IMPORT_CHUNK_LINES = 500;
+
+// 直前のTSVインポートで取り込めなかった行
+let tsvRejectedLines = [];
+
+// ファイルを少しずつ読み込み、デコードしたテキストのまとまりごとに返す（ファイル全体を1つの文字列にしない）
+async function* readFileChunks(file, onProgress) {
+  const reader = file.stream().pipeThrough(new TextDecoderStream()).getReader();
+  let loaded = 0;
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    loaded += value.length;
+    onProgress(loaded);
+    yield value;
+  }
+}
+
+// ファイルを少しずつ読み込み、行ごとに返す
+async function* readFileLines(file, onProgress) {
+  let buffer = '';
+
+  for await (const value of readFileChunks(file, onProgress)) {
+    buffer += value;
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    yield* lines;
+  }
+  if (buffer) {
+    yield buffer;
+  }
+}
+
+// パスフレーズの入力を待っている暗号化したファイル
+let pendingEncryptedFile = null;
+
+// インポートのエラーメッセージ（暗号化したファイルのエラーは種類ごとのメッセージ）
+function getImportErrorMessage(error) {
+  return error.code
+    ? getMessage(`encryptedImportError_${error.code}`)
+    : getMessage('statusError', [error.message]);
+}
+
+// バックグラウンドのエラー応答をエラーに変換（暗号化したファイルのエラーの種類を引き継ぐ）
+function createResponseError(response) {
+  const error = new Error(response.error);
+  error.code = response.errorCode || null;
+  return error;
+}
+
+// ファイルの読み込み位置をプログレスバーに表示
+function createFileProgressHandler(file) {
+  return loaded => {
+    updateProgress(Math.min(Math.round((loaded / file.size) * 100), 99), getMessage('progressImporting'));
+  };
+}
+
+// TSVファイルの選択（暗号化したファイルの場合はパスフレーズの入力を待つ）
+async function handleTsvFile(event) {
+  const file = event.target.files[0];
+  // ファイル入力をリセット
+  tsvFileInput.value = '';
+  if (!file) return;
+
+  hideImportPassphrasePrompt();
+  if (isEncryptedBackupHead(await file.slice(0, 256).text())) {
+    pendingEncryptedFile = file;
+    importPassphrasePrompt.hidden = false;
+    importPassphraseInput.focus();
+    return;
+  }
+
+  await importTsvFromLines(readFileLines(file, createFileProgressHandler(file)));
+}
+
+// パスフレーズの入力欄を閉じる
+function hideImportPassphrasePrompt() {
+  pendingEncryptedFile = null;
+  importPassphraseInput.value = '';
+  importPassphrasePrompt.hidden = true;
+}
+
+// 暗号化したファイルのインポート
+// ヘッダーでパスフレーズを確認してから、チャンクを順に復号してTSVとしてインポートする
+// パスフレーズが違う場合は入力欄を開いたまま再入力を待つ
+async function startEncryptedImport() {
+  const file = pendingEncryptedFile;
+  const passphrase = importPassphraseInput.value;
+  if (!file) return;
+  if (!passphrase) {
+    showStatus(getMessage('passphraseRequired'), 'error');
+    return;
+  }
+
+  startEncryptedImportBtn.disabled = true;
+  showStatus(getMessage('statusCheckingPassphrase'), 'info');
 
-    updateProgress(50, 'データ処理中...');
+  try {
+    const lines = readFileLines(file, createFileProgressHandler(file));
+    const { value: header = '' } = await lines.next();
     const response = await chrome.runtime.sendMessage({
-      action: 'importFromTSV',
-      tsvData: text
+      action: 'openEncryptedImport',
+      header: header.replace(/\r$/, ''),
+      passphrase
     });
 
     if (response.error) {
-      showStatus(`エラー: ${response.error}`, 'error');
-      hideProgress();
-    } else {
-      updateProgress(100, '完了');
-      let message = `${response.imported}件をインポートしました`;
-      if (response.errors > 0) {
-        message += ` (${response.errors}件のエラー)`;
+      showStatus(getImportErrorMessage(createResponseError(response)), 'error');
+      if (response.errorCode === 'wrongPassphrase') {
+        importPassphraseInput.select();
+      } else {
+        hideImportPassphrasePrompt();
       }
-      showStatus(message, 'success');
+      return;
+    }
 
-      setTimeout(() => {
-        hideProgress();
-        loadStats();
-      }, 2000);
+    hideImportPassphrasePrompt();
+    await importTsvFromLines(decryptFileLines(lines, response.decryptionId));
+  } catch (error) {
+    console.error('Encrypted import error:', error);
+    showStatus(getMessage('statusError', [error.message]), 'error');
+  } finally {
+    startEncryptedImportBtn.disabled = false;
+  }
+}
+
+// 暗号化したファイルの行（チャンク）をバックグラウンドで復号し、TSVの行を返す
+// 最後のチャンクの前にファイルが終わった場合は不完全なファイルとしてエラーにする
+async function* decryptFileLines(lines, decryptionId) {
+  let buffer = '';
+  let final = false;
+
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    if (final) {
+      throw createResponseError({ error: 'Data after the last chunk', errorCode: 'corrupted' });
+    }
+
+    const response = await chrome.runtime.sendMessage({ action: 'decryptImportChunk', decryptionId, line });
+    if (response.error) {
+      throw createResponseError(response);
+    }
+    final = response.final;
+    buffer += response.data;
+    const decrypted = buffer.split('\n');
+    buffer = decrypted.pop();
+    yield* decrypted;
+  }
+
+  if (!final) {
+    throw createResponseError({ error: 'Encrypted file is truncated', errorCode: 'corrupted' });
+  }
+  if (buffer) {
+    yield buffer;
+  }
+}
+
+// TSVの行のインポート
+// lines: TSVの行（1行目はヘッダー）を返す非同期イテレータ
+// 行をまとめてバックグラウンドに送り、既存レコードとは選んだ方法で統合する
+async function importTsvFromLines(lines) {
+  const strategy = tsvMergeStrategySelect.value;
+  let imported = 0;
+  let lineNumber = 0;
+  let chunk = [];
+  tsvRejectedLines = [];
+  tsvReportBtn.hidden = true;
+
+  importTsvBtn.disabled = true;
+  showStatus(getMessage('statusImporting'), 'info');
+  updateProgress(0, getMessage('progressImporting'));
+
+  // 溜まった行を送信
+  const sendChunk = async () => {
+    const response = await chrome.runtime.sendMessage({ action: 'importTsvLines', lines: chunk, strategy });
+    chunk = [];
+    if (response.error) {
+      throw new Error(response.error);
+    }
+    imported += response.imported;
+    tsvRejectedLines.push(...response.rejected);
+  };
+
+  try {
+    for await (const text of lines) {
+      lineNumber++;
+      // 1行目はヘッダー
+      if (lineNumber === 1) continue;
+
+      chunk.push({ number: lineNumber, text: text.replace(/\r$/, '') });
+      if (chunk.length >= TSV_IMPORT_CHUNK_LINES) {
+        await sendChunk();
+      }
+    }
+    if (chunk.length > 0) {
+      await sendChunk();
+    }
+
+    updateProgress(100, getMessage('progressComplete'));
+    if (tsvRejectedLines.length > 0) {
+      showStatus(getMessage('tsvImportCompleteWithRejected', [imported.toString(), tsvRejectedLines.length.toString()]), 'info');
+      tsvReportBtn.hidden = false;
+    } else {
+      showStatus(getMessage('statusImportComplete', [imported.toString()]), 'success');
     }
+
+    setTimeout(() => {
+      hideProgress();
+      loadStats();
+    }, 2000);
   } catch (error) {
     console.error('Import from TSV error:', error);
-    showStatus(`エラー: ${error.message}`, 'error');
+    showStatus(getImportErrorMessage(error), 'error');
     hideProgress();
+    // 途中までにインポートした行は保存済み
+    if (imported > 0) {
+      loadStats();
+    }
   } finally {
     importTsvBtn.disabled = false;
-    // ファイル入力をリセット
-    tsvFileInput.value = '';
+  }
+}
+
+// 取り込めなかった行の一覧をダウンロード（行番号、理由、行の内容のTSV）
+function downloadTsvReport() {
+  const header = ['line', 'reason', 'content'].join('\t');
+  const rows = tsvRejectedLines.map(({ line, reason, text, error }) => {
+    const message = getMessage(`tsvRejectReason_${reason}`) + (error ? ` (${error})` : '');
+    return [line, message, text].map(escapeTsvField).join('\t');
+  });
+  const blob = new Blob([[header, ...rows].join('\n') + '\n'], { type: 'text/tab-separated-values' });
+  downloadBlob(blob, `perma-recall-import-report-${new Date().toISOString().split('T')[0]}.tsv`);
+}
+
+// サイト別設定の読み込み
+async function loadSiteRulesSettings() {
+  try {
+    const rules = await loadSiteRules();
+    neverRecordSitesInput.value = rules.neverRecord.join('\n');
+    neverMarkSitesInput.value = rules.neverMark.join('\n');
+    markOnlySitesInput.value = rules.markOnly.join('\n');
+    markModeAllInput.checked = rules.markMode === 'all';
+    markModeAllowlistInput.checked = rules.markMode === 'allowlist';
+    updateMarkOnlyState();
+  } catch (error) {
+    console.error('Failed to load site rules:', error);
+  }
+}
+
+// 許可リストの入力欄は「指定したサイトのみ」の場合のみ有効
+function updateMarkOnlyState() {
+  markOnlySitesInput.disabled = !markModeAllowlistInput.checked;
+}
+
+// サイト別設定の保存
+// 各タブのコンテンツスクリプトとバックグラウンドは storage.onChanged で反映する
+async function saveSiteRulesSettings() {
+  const rules = mergeSiteRules({
+    neverRecord: neverRecordSitesInput.value,
+    neverMark: neverMarkSitesInput.value,
+    markMode: markModeAllowlistInput.checked ? 'allowlist' : 'all',
+    markOnly: markOnlySitesInput.value
+  });
+
+  try {
+    await chrome.storage.local.set({ [SITE_RULES_STORAGE_KEY]: rules });
+    loadSiteRulesSettings();
+    showStatus(getMessage('siteRulesSaveSuccess'), 'success');
+  } catch (error) {
+    console.error('Failed to save site rules:', error);
+    showStatus(getMessage('statusError', [error.message]), 'error');
+  }
+}
+
+// シークレットモードの設定の読み込み
+async function loadIncognitoPolicy() {
+  try {
+    const result = await chrome.storage.local.get(['incognitoPolicy']);
+    const policy = result.incognitoPolicy || 'ignore';
+    incognitoPolicyInputs.forEach(input => {
+      input.checked = input.value === policy;
+    });
+  } catch (error) {
+    console.error('Failed to load incognito policy:', error);
+  }
+}
+
+// シークレットモードの設定の保存（選択と同時に保存）
+async function saveIncognitoPolicy(event) {
+  try {
+    await chrome.storage.local.set({ incognitoPolicy: event.target.value });
+    showStatus(getMessage('incognitoSaveSuccess'), 'success');
+  } catch (error) {
+    console.error('Failed to save incognito policy:', error);
+    showStatus(getMessage('statusError', [error.message]), 'error');
+  }
+}
+
+// Chrome履歴からの削除を反映する設定の読み込み
+async function loadMirrorHistoryDeletions() {
+  try {
+    const result = await chrome.storage.local.get(['mirrorHistoryDeletions']);
+    mirrorHistoryDeletionsInput.checked = result.mirrorHistoryDeletions === true;
+  } catch (error) {
+    console.error('Failed to load history deletion setting:', error);
+  }
+}
+
+// Chrome履歴からの削除を反映する設定の保存（変更と同時に保存）
+async function saveMirrorHistoryDeletions() {
+  try {
+    await chrome.storage.local.set({ mirrorHistoryDeletions: mirrorHistoryDeletionsInput.checked });
+    showStatus(getMessage('historyDeletionSaveSuccess'), 'success');
+  } catch (error) {
+    console.error('Failed to save history deletion setting:', error);
+    showStatus(getMessage('statusError', [error.message]), 'error');
+  }
+}
+
+// プライバシーモードの状態の読み込み（移行中は切り替えられないようにする）
+// 有効な間はチェックを外せず、記録を削除するボタンからのみ無効にできる
+async function loadPrivacyMode() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getPrivacyMode' });
+    if (response.error) {
+      return;
+    }
+
+    privacyModeEnabledInput.checked = response.enabled;
+    privacyModeEnabledInput.disabled = response.enabled || response.inProgress;
+    privacyModeNotice.hidden = !response.enabled;
+    privacyModeDisableBtn.hidden = !response.enabled;
+    privacyModeDisableBtn.disabled = response.migrating || response.inProgress;
+    if (response.migrating) {
+      showStatus(getMessage('statusPrivacyMigrating'), 'info');
+    }
+  } catch (error) {
+    console.error('Failed to load privacy mode:', error);
+  }
+}
+
+// プライバシーモードを有効にする（確認後、保存済みの記録を移行）
+async function enablePrivacyMode() {
+  if (!confirm(getMessage('privacyModeEnableConfirm'))) {
+    privacyModeEnabledInput.checked = false;
+    return;
+  }
+
+  privacyModeEnabledInput.disabled = true;
+  showStatus(getMessage('statusPrivacyMigrating'), 'info');
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'setPrivacyMode', enabled: true });
+
+    if (response.error) {
+      showStatus(getMessage('statusError', [response.error]), 'error');
+    } else {
+      showStatus(getMessage('statusPrivacyEnabled', [response.migrated.toLocaleString()]), 'success');
+    }
+  } catch (error) {
+    console.error('Failed to enable privacy mode:', error);
+    showStatus(getMessage('statusError', [error.message]), 'error');
+  } finally {
+    loadPrivacyMode();
+    loadStats();
+    loadDeviceSyncStatus();
+  }
+}
+
+// ハッシュの記録を全て削除してプライバシーモードを無効にする（削除される件数を示して確認）
+async function disablePrivacyMode() {
+  let count = null;
+  try {
+    const stats = await chrome.runtime.sendMessage({ action: 'getStats' });
+    count = stats.error ? null : stats.count;
+  } catch (error) {
+    console.error('Failed to load stats:', error);
+  }
+
+  if (!confirm(getMessage('privacyModeDisableConfirm', [count === null ? '?' : count.toLocaleString()]))) {
+    return;
+  }
+
+  privacyModeDisableBtn.disabled = true;
+  showStatus(getMessage('statusPrivacyDisabling'), 'info');
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'setPrivacyMode', enabled: false, deleteRecords: true });
+
+    if (response.error) {
+      showStatus(getMessage('statusError', [response.error]), 'error');
+    } else {
+      showStatus(getMessage('statusPrivacyDisabled'), 'success');
+      resumeImportProgress();
+    }
+  } catch (error) {
+    console.error('Failed to disable privacy mode:', error);
+    showStatus(getMessage('statusError', [error.message]), 'error');
+  } finally {
+    loadPrivacyMode();
+    loadStats();
+    loadDeviceSyncStatus();
+  }
+}
+
+// 自動バックアップの設定の読み込み
+async function loadBackupSettings() {
+  try {
+    const result = await chrome.storage.local.get([BACKUP_SETTINGS_STORAGE_KEY]);
+    applyBackupSettings(mergeBackupSettings(result[BACKUP_SETTINGS_STORAGE_KEY]));
+  } catch (error) {
+    console.error('Failed to load backup settings:', error);
+  }
+}
+
+// 自動バックアップの設定をフォームに反映
+function applyBackupSettings(settings) {
+  backupEnabledInput.checked = settings.enabled;
+  backupIntervalSelect.value = settings.interval;
+  backupFormatSelect.value = settings.format;
+  backupFolderInput.value = settings.folder;
+  backupRetentionInput.value = settings.retention;
+  [backupIntervalSelect, backupFormatSelect, backupFolderInput, backupRetentionInput].forEach(input => {
+    input.disabled = !settings.enabled;
+  });
+}
+
+// 自動バックアップの設定の保存（変更と同時に保存）
+async function saveBackupSettings() {
+  try {
+    const settings = mergeBackupSettings({
+      enabled: backupEnabledInput.checked,
+      interval: backupIntervalSelect.value,
+      format: backupFormatSelect.value,
+      folder: backupFolderInput.value,
+      retention: backupRetentionInput.value
+    });
+
+    await chrome.storage.local.set({ [BACKUP_SETTINGS_STORAGE_KEY]: settings });
+    applyBackupSettings(settings);
+    showStatus(getMessage('backupSaveSuccess'), 'success');
+  } catch (error) {
+    console.error('Failed to save backup settings:', error);
+    showStatus(getMessage('statusError', [error.message]), 'error');
+  }
+}
+
+// 今すぐバックアップ（自動バックアップが無効でも保存先・形式・残す数の設定を使用）
+async function runBackupNow() {
+  backupNowBtn.disabled = true;
+  showStatus(getMessage('statusBackingUp'), 'info');
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'runBackup' });
+
+    if (response.error) {
+      showStatus(getResponseErrorMessage(response), 'error');
+    } else {
+      showStatus(getMessage('statusBackupComplete', [response.count.toLocaleString(), response.filename]), 'success');
+      loadStats();
+    }
+  } catch (error) {
+    console.error('Failed to run backup:', error);
+    showStatus(getMessage('statusError', [error.message]), 'error');
+  } finally {
+    backupNowBtn.disabled = false;
+  }
+}
+
+// 端末間の同期の設定の読み込み
+async function loadDeviceSyncSettings() {
+  try {
+    const result = await chrome.storage.local.get([DEVICE_SYNC_SETTINGS_STORAGE_KEY]);
+    applyDeviceSyncSettings(mergeDeviceSyncSettings(result[DEVICE_SYNC_SETTINGS_STORAGE_KEY]));
+  } catch (error) {
+    console.error('Failed to load device sync settings:', error);
+  }
+}
+
+// 端末間の同期の設定をフォームに反映（サーバーの項目は同期先がサーバーの場合のみ表示）
+function applyDeviceSyncSettings(settings) {
+  deviceSyncEnabledInput.checked = settings.enabled;
+  deviceSyncBackendSelect.value = settings.backend;
+  deviceSyncUrlInput.value = settings.http.url;
+  deviceSyncUsernameInput.value = settings.http.username;
+  deviceSyncPasswordInput.value = settings.http.password;
+  deviceSyncHttpGroup.style.display = settings.backend === 'http' ? 'block' : 'none';
+  deviceSyncNowBtn.disabled = !settings.enabled;
+}
+
+// 端末間の同期の設定の保存（変更と同時に保存）
+async function saveDeviceSyncSettings() {
+  const url = deviceSyncUrlInput.value.trim();
+  const settings = mergeDeviceSyncSettings({
+    enabled: deviceSyncEnabledInput.checked,
+    backend: deviceSyncBackendSelect.value,
+    http: {
+      url,
+      username: deviceSyncUsernameInput.value,
+      password: deviceSyncPasswordInput.value
+    }
+  });
+
+  if (url && !settings.http.url) {
+    showStatus(getMessage('deviceSyncInvalidUrl'), 'error');
+    return;
+  }
+
+  try {
+    await chrome.storage.local.set({ [DEVICE_SYNC_SETTINGS_STORAGE_KEY]: settings });
+    applyDeviceSyncSettings(settings);
+    showStatus(getMessage('deviceSyncSaveSuccess'), 'success');
+    loadDeviceSyncStatus();
+  } catch (error) {
+    console.error('Failed to save device sync settings:', error);
+    showStatus(getMessage('statusError', [error.message]), 'error');
+  }
+}
+
+// 端末間の同期の状態を表示
+async function loadDeviceSyncStatus() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getDeviceSyncStatus' });
+    if (response.error) {
+      return;
+    }
+
+    const lastSync = response.lastSyncTime
+      ? new Date(response.lastSyncTime).toLocaleString(chrome.i18n.getUILanguage())
+      : getMessage('statsNotExecuted');
+    // プライバシーモードでは同期できないため無効として表示
+    const status = response.enabled && !response.privacyMode ? response.status : 'off';
+    deviceSyncStatusEl.className = `device-sync-status ${status}`;
+    deviceSyncStatusEl.textContent = {
+      off: getMessage(response.privacyMode ? 'privacyModeUnavailable' : 'deviceSyncStatusOff'),
+      idle: getMessage('deviceSyncStatusIdle', [lastSync]),
+      syncing: getMessage('deviceSyncStatusSyncing'),
+      error: getMessage('deviceSyncStatusError', [response.lastError || '', lastSync])
+    }[status];
+  } catch (error) {
+    console.error('Failed to load device sync status:', error);
+  }
+}
+
+// 今すぐ同期
+async function runDeviceSyncNow() {
+  deviceSyncNowBtn.disabled = true;
+  deviceSyncStatusEl.className = 'device-sync-status syncing';
+  deviceSyncStatusEl.textContent = getMessage('deviceSyncStatusSyncing');
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'syncDevices' });
+
+    if (response.error) {
+      showStatus(getResponseErrorMessage(response), 'error');
+    } else {
+      showStatus(getMessage('statusDeviceSyncComplete', [
+        response.pushed.toLocaleString(),
+        response.pulled.toLocaleString()
+      ]), 'success');
+      loadStats();
+    }
+  } catch (error) {
+    console.error('Failed to sync devices:', error);
+    showStatus(getMessage('statusError', [error.message]), 'error');
+  } finally {
+    deviceSyncNowBtn.disabled = !deviceSyncEnabledInput.checked;
+    loadDeviceSyncStatus();
+  }
+}
+
+// ホバーカードの設定の読み込み
+async function loadHoverCardSettings() {
+  try {
+    const settings = await loadDisplaySettings();
+    tooltipEnabledInput.checked = settings.tooltipEnabled;
+    tooltipDelayInput.value = settings.tooltipDelay;
+    tooltipDelayInput.disabled = !settings.tooltipEnabled;
+  } catch (error) {
+    console.error('Failed to load display settings:', error);
+  }
+}
+
+// ホバーカードの設定の保存（変更と同時に保存）
+async function saveHoverCardSettings() {
+  try {
+    const result = await chrome.storage.local.get([DISPLAY_SETTINGS_STORAGE_KEY]);
+    const settings = mergeDisplaySettings({
+      ...result[DISPLAY_SETTINGS_STORAGE_KEY],
+      tooltipEnabled: tooltipEnabledInput.checked,
+      tooltipDelay: tooltipDelayInput.value
+    });
+
+    await chrome.storage.local.set({ [DISPLAY_SETTINGS_STORAGE_KEY]: settings });
+    tooltipDelayInput.value = settings.tooltipDelay;
+    tooltipDelayInput.disabled = !settings.tooltipEnabled;
+    showStatus(getMessage('hoverCardSaveSuccess'), 'success');
+  } catch (error) {
+    console.error('Failed to save display settings:', error);
+    showStatus(getMessage('statusError', [error.message]), 'error');
+  }
+}
+
+// 経過による段階のしきい値の読み込み
+async function loadRecencySettings() {
+  try {
+    const { recencyThresholds } = await loadDisplaySettings();
+    Object.entries(recencyInputs).forEach(([level, input]) => {
+      input.value = recencyThresholds[level];
+    });
+  } catch (error) {
+    console.error('Failed to load recency thresholds:', error);
+  }
+}
+
+// 経過による段階のしきい値の保存（変更と同時に保存）
+async function saveRecencySettings() {
+  try {
+    const result = await chrome.storage.local.get([DISPLAY_SETTINGS_STORAGE_KEY]);
+    const thresholds = {};
+    Object.entries(recencyInputs).forEach(([level, input]) => {
+      thresholds[level] = input.value;
+    });
+    const settings = mergeDisplaySettings({
+      ...result[DISPLAY_SETTINGS_STORAGE_KEY],
+      recencyThresholds: thresholds
+    });
+
+    await chrome.storage.local.set({ [DISPLAY_SETTINGS_STORAGE_KEY]: settings });
+    // 整形後の値（段階の順に単調増加）を表示
+    Object.entries(recencyInputs).forEach(([level, input]) => {
+      input.value = settings.recencyThresholds[level];
+    });
+    showStatus(getMessage('recencySaveSuccess'), 'success');
+  } catch (error) {
+    console.error('Failed to save recency thresholds:', error);
+    showStatus(getMessage('statusError', [error.message]), 'error');
+  }
+}
+
+// プリセットIDとメッセージキーの対応
+const URL_RULE_PRESET_MESSAGES = {
+  ignoreProtocol: 'urlRulePresetIgnoreProtocol',
+  stripWww: 'urlRulePresetStripWww',
+  stripTrailingSlash: 'urlRulePresetStripTrailingSlash',
+  stripFragment: 'urlRulePresetStripFragment',
+  stripTrackingParams: 'urlRulePresetStripTrackingParams',
+  sortQueryParams: 'urlRulePresetSortQueryParams'
+};
+
+// チェックボックス付きラベルを作成
+function createCheckbox(checked, labelText, className) {
+  const label = document.createElement('label');
+  label.className = 'checkbox-item';
+
+  const input = document.createElement('input');
+  input.type = 'checkbox';
+  input.checked = checked;
+  if (className) {
+    input.className = className;
+  }
+
+  const span = document.createElement('span');
+  span.textContent = labelText;
+
+  label.appendChild(input);
+  label.appendChild(span);
+  return label;
+}
+
+// ドメイン別ルールの入力行を追加
+function addCustomUrlRuleRow(rule = {}) {
+  const row = document.createElement('div');
+  row.className = 'url-rule-row';
+
+  const fields = document.createElement('div');
+  fields.className = 'url-rule-fields';
+
+  const domainInput = document.createElement('input');
+  domainInput.type = 'text';
+  domainInput.className = 'text-input url-rule-domain';
+  domainInput.placeholder = getMessage('urlRulesDomainPlaceholder');
+  domainInput.value = rule.domain || '';
+
+  const paramsInput = document.createElement('input');
+  paramsInput.type = 'text';
+  paramsInput.className = 'text-input url-rule-params';
+  paramsInput.placeholder = getMessage('urlRulesParamsPlaceholder');
+  paramsInput.value = (rule.removeParams || []).join(', ');
+
+  fields.appendChild(domainInput);
+  fields.appendChild(paramsInput);
+
+  const options = document.createElement('div');
+  options.className = 'url-rule-options';
+  options.appendChild(createCheckbox(!!rule.stripQuery, getMessage('urlRulesStripQuery'), 'url-rule-strip-query'));
+  options.appendChild(createCheckbox(!!rule.keepFragment, getMessage('urlRulesKeepFragment'), 'url-rule-keep-fragment'));
+
+  const removeBtn = document.createElement('button');
+  removeBtn.className = 'url-rule-remove';
+  removeBtn.textContent = getMessage('urlRulesRemoveButton');
+  removeBtn.addEventListener('click', () => row.remove());
+  options.appendChild(removeBtn);
+
+  row.appendChild(fields);
+  row.appendChild(options);
+  customUrlRulesEl.appendChild(row);
+}
+
+// URL正規化ルールの読み込み
+async function loadUrlRulesSettings() {
+  try {
+    const rules = await loadUrlRules();
+
+    urlRulePresetsEl.textContent = '';
+    URL_RULE_PRESETS.forEach(id => {
+      const checkbox = createCheckbox(rules.presets[id], getMessage(URL_RULE_PRESET_MESSAGES[id]));
+      checkbox.querySelector('input').dataset.preset = id;
+      urlRulePresetsEl.appendChild(checkbox);
+    });
+
+    customUrlRulesEl.textContent = '';
+    rules.customRules.forEach(rule => addCustomUrlRuleRow(rule));
+  } catch (error) {
+    console.error('Failed to load URL rules:', error);
+  }
+}
+
+// 入力内容からURL正規化ルールを組み立て
+function collectUrlRules() {
+  const presets = {};
+  urlRulePresetsEl.querySelectorAll('input[data-preset]').forEach(input => {
+    presets[input.dataset.preset] = input.checked;
+  });
+
+  const customRules = [...customUrlRulesEl.querySelectorAll('.url-rule-row')].map(row => ({
+    domain: row.querySelector('.url-rule-domain').value,
+    removeParams: row.querySelector('.url-rule-params').value,
+    stripQuery: row.querySelector('.url-rule-strip-query').checked,
+    keepFragment: row.querySelector('.url-rule-keep-fragment').checked
+  }));
+
+  return mergeUrlRules({ presets, customRules });
+}
+
+// URL正規化ルールの保存
+async function saveUrlRulesSettings() {
+  if (!confirm(getMessage('urlRulesSaveConfirm'))) {
+    return;
+  }
+
+  saveUrlRulesBtn.disabled = true;
+  showStatus(getMessage('urlRulesSaving'), 'info');
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'saveUrlRules',
+      rules: collectUrlRules()
+    });
+
+    if (response.error) {
+      showStatus(getResponseErrorMessage(response), 'error');
+    } else {
+      showStatus(getMessage('urlRulesSaveSuccess', [response.rekeyed.toString()]), 'success');
+      loadUrlRulesSettings();
+      loadStats();
+    }
+  } catch (error) {
+    console.error('Failed to save URL rules:', error);
+    showStatus(getMessage('statusError', [error.message]), 'error');
+  } finally {
+    saveUrlRulesBtn.disabled = false;
   }
 }
 
 // イベントリスナーの設定
+browseBtn.addEventListener('click', openHistoryPage);
 importBtn.addEventListener('click', importHistory);
 clearBtn.addEventListener('click', clearHistory);
 saveCssBtn.addEventListener('click', saveCustomCss);
 resetCssBtn.addEventListener('click', resetCustomCss);
+countDeleteBtn.addEventListener('click', countMatchingRecords);
+deleteMatchingBtn.addEventListener('click', deleteMatchingRecords);
+[deleteDomainInput, deleteFromInput, deleteToInput, deletePatternInput, deletePatternRegexInput].forEach(input => {
+  input.addEventListener('input', resetDeletePreview);
+});
 exportBtn.addEventListener('click', exportHistory);
 importTsvBtn.addEventListener('click', importFromTSV);
 tsvFileInput.addEventListener('change', handleTsvFile);
+tsvReportBtn.addEventListener('click', downloadTsvReport);
+exportEncryptInput.addEventListener('change', updateExportEncryptState);
+startEncryptedImportBtn.addEventListener('click', startEncryptedImport);
+cancelEncryptedImportBtn.addEventListener('click', hideImportPassphrasePrompt);
+importPassphraseInput.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') {
+    startEncryptedImport();
+  }
+});
+browserImportBtn.addEventListener('click', startBrowserImport);
+browserImportFileInput.addEventListener('change', handleBrowserImportFile);
+startMappedImportBtn.addEventListener('click', startMappedImport);
+cancelMappedImportBtn.addEventListener('click', hideImportMapping);
+saveSiteRulesBtn.addEventListener('click', saveSiteRulesSettings);
+markModeAllInput.addEventListener('change', updateMarkOnlyState);
+markModeAllowlistInput.addEventListener('change', updateMarkOnlyState);
+incognitoPolicyInputs.forEach(input => {
+  input.addEventListener('change', saveIncognitoPolicy);
+});
+addUrlRuleBtn.addEventListener('click', () => addCustomUrlRuleRow());
+saveUrlRulesBtn.addEventListener('click', saveUrlRulesSettings);
+mirrorHistoryDeletionsInput.addEventListener('change', saveMirrorHistoryDeletions);
+privacyModeEnabledInput.addEventListener('change', enablePrivacyMode);
+privacyModeDisableBtn.addEventListener('click', disablePrivacyMode);
+[backupEnabledInput, backupIntervalSelect, backupFormatSelect, backupFolderInput, backupRetentionInput].forEach(input => {
+  input.addEventListener('change', saveBackupSettings);
+});
+backupNowBtn.addEventListener('click', runBackupNow);
+[
+  deviceSyncEnabledInput, deviceSyncBackendSelect, deviceSyncUrlInput, deviceSyncUsernameInput, deviceSyncPasswordInput
+].forEach(input => {
+  input.addEventListener('change', saveDeviceSyncSettings);
+});
+deviceSyncNowBtn.addEventListener('click', runDeviceSyncNow);
+tooltipEnabledInput.addEventListener('change', saveHoverCardSettings);
+tooltipDelayInput.addEventListener('change', saveHoverCardSettings);
+Object.values(recencyInputs).forEach(input => {
+  input.addEventListener('change', saveRecencySettings);
+});
 
 // プレビューリンクのクリックを無効化
-previewLink.addEventListener('click', (e) => {
-  e.preventDefault();
+previewLinks.forEach(link => {
+  link.addEventListener('click', (e) => {
+    e.preventDefault();
+  });
 });
 
 // 初期化
 document.addEventListener('DOMContentLoaded', () => {
   localizeHtmlPage();
+  fillStylePresetOptions(stylePresetSelect, false);
   loadStats();
+  resumeImportProgress();
   loadCustomCss();
+  loadSiteRulesSettings();
+  loadIncognitoPolicy();
+  loadMirrorHistoryDeletions();
+  loadPrivacyMode();
+  loadBackupSettings();
+  loadDeviceSyncSettings();
+  loadDeviceSyncStatus();
+  loadHoverCardSettings();
+  loadRecencySettings();
+  loadUrlRulesSettings();
 });
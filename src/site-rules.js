@@ -0,0 +1,103 @@
+// サイト別の記録・マーク設定（ブロックリスト / 許可リスト）
+// background.js（importScripts）、content.js（content_scripts）、popup.js（scriptタグ）で共有
+// url-rules.js の matchesDomain() を使用するため、url-rules.js の後に読み込むこと
+
+// chrome.storage.local の保存キー
+const SITE_RULES_STORAGE_KEY = 'siteRules';
+
+// リンクをマークするサイトの選び方
+// all: ブロックリスト以外の全てのサイト / allowlist: 許可リストのサイトのみ
+const MARK_MODES = ['all', 'allowlist'];
+
+// デフォルトのサイト別設定
+const DEFAULT_SITE_RULES = {
+  neverRecord: [],
+  neverMark: [],
+  markMode: 'all',
+  markOnly: []
+};
+
+// パターンの一覧を整形（文字列の場合は改行・カンマ区切り）
+function parseSitePatterns(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(/[\n,]/);
+  return [...new Set(
+    list
+      .map(pattern => String(pattern).trim().toLowerCase())
+      .filter(pattern => pattern && !pattern.startsWith('#'))
+  )];
+}
+
+// 保存された設定にデフォルト値を補完
+function mergeSiteRules(stored) {
+  return {
+    neverRecord: parseSitePatterns(stored?.neverRecord),
+    neverMark: parseSitePatterns(stored?.neverMark),
+    markMode: MARK_MODES.includes(stored?.markMode) ? stored.markMode : DEFAULT_SITE_RULES.markMode,
+    markOnly: parseSitePatterns(stored?.markOnly)
+  };
+}
+
+// ワイルドカード（*）を含むパターンを正規表現に変換
+function globToRegExp(glob) {
+  const escaped = glob.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`);
+}
+
+// URLがサイトパターンに一致するか
+// - example.com        : example.com とそのサブドメイン
+// - *.example.com      : サブドメインのみ
+// - intranet.*         : ワイルドカードを含むホスト名
+// - example.com/admin* : ホスト名とパスの組み合わせ
+function matchesSitePattern(url, pattern) {
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch (e) {
+    return false;
+  }
+
+  const hostname = urlObj.hostname.toLowerCase();
+  const slashIndex = pattern.indexOf('/');
+  const hostPattern = slashIndex === -1 ? pattern : pattern.slice(0, slashIndex);
+  const pathPattern = slashIndex === -1 ? null : pattern.slice(slashIndex);
+
+  const hostMatched = hostPattern.includes('*')
+    ? globToRegExp(hostPattern).test(hostname)
+    : matchesDomain(hostname, hostPattern);
+
+  if (!hostMatched) {
+    return false;
+  }
+  if (!pathPattern) {
+    return true;
+  }
+  return globToRegExp(pathPattern).test(urlObj.pathname.toLowerCase());
+}
+
+// いずれかのパターンに一致するか
+function matchesAnySitePattern(url, patterns) {
+  return patterns.some(pattern => matchesSitePattern(url, pattern));
+}
+
+// 訪問を記録してよいURLか
+function shouldRecordUrl(url, rules) {
+  return !matchesAnySitePattern(url, (rules || DEFAULT_SITE_RULES).neverRecord);
+}
+
+// ページ内のリンクをマークしてよいか（ページのURLで判定）
+function shouldMarkOnPage(pageUrl, rules) {
+  const siteRules = rules || DEFAULT_SITE_RULES;
+  if (matchesAnySitePattern(pageUrl, siteRules.neverMark)) {
+    return false;
+  }
+  if (siteRules.markMode === 'allowlist') {
+    return matchesAnySitePattern(pageUrl, siteRules.markOnly);
+  }
+  return true;
+}
+
+// 保存された設定を読み込み
+async function loadSiteRules() {
+  const result = await chrome.storage.local.get([SITE_RULES_STORAGE_KEY]);
+  return mergeSiteRules(result[SITE_RULES_STORAGE_KEY]);
+}
@@ -0,0 +1,186 @@
+// 訪問済みリンクのスタイルプリセット
+// content.js（content_scripts）、popup.js（scriptタグ）で共有
+// site-rules.js の matchesSitePattern() を使用するため、site-rules.js の後に読み込むこと
+
+// chrome.storage.local の保存キー（カスタムCSS自体は従来通り customCss に保存する）
+const STYLE_SETTINGS_STORAGE_KEY = 'styleSettings';
+
+// スタイルの指定方法
+// preset: プリセットとフォームの設定からCSSを生成 / advanced: カスタムCSSをそのまま使用
+const STYLE_MODES = ['preset', 'advanced'];
+
+// 組み込みプリセット（ポップアップでの表示順）
+const STYLE_PRESETS = ['border', 'underline', 'dimmed', 'strikethrough', 'badge', 'background'];
+
+// プリセットごとに使用するフォームの項目
+const STYLE_PRESET_OPTIONS = {
+  border: ['color', 'thickness'],
+  underline: ['color', 'thickness'],
+  dimmed: ['opacity'],
+  strikethrough: ['color', 'thickness'],
+  badge: ['color', 'opacity'],
+  background: ['color', 'opacity']
+};
+
+// 線の太さの範囲（px）
+const STYLE_THICKNESS_MIN = 1;
+const STYLE_THICKNESS_MAX = 5;
+
+// デフォルトのスタイル設定
+// 設定が保存されていない場合は従来通りカスタムCSSを使用する
+// sitePresets: [{ site: サイトパターン, preset: プリセットID または 'advanced' }]
+const DEFAULT_STYLE_SETTINGS = {
+  mode: 'advanced',
+  preset: 'border',
+  options: {
+    color: '#0088aa',
+    thickness: 2,
+    opacity: 0.5
+  },
+  sitePresets: []
+};
+
+// 数値を範囲内に収める（不正な値の場合はデフォルト値）
+function clampStyleNumber(value, min, max, fallback) {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.min(Math.max(number, min), max) : fallback;
+}
+
+// フォームの設定を整形
+function mergeStyleOptions(stored) {
+  const defaults = DEFAULT_STYLE_SETTINGS.options;
+  const color = String(stored?.color || '').toLowerCase();
+  return {
+    color: /^#[0-9a-f]{6}$/.test(color) ? color : defaults.color,
+    thickness: Math.round(clampStyleNumber(stored?.thickness, STYLE_THICKNESS_MIN, STYLE_THICKNESS_MAX, defaults.thickness)),
+    opacity: Math.round(clampStyleNumber(stored?.opacity, 0.1, 1, defaults.opacity) * 100) / 100
+  };
+}
+
+// サイト別プリセットを整形
+function sanitizeSitePreset(entry) {
+  const site = String(entry?.site || '').trim().toLowerCase();
+  const preset = STYLE_PRESETS.includes(entry?.preset) || entry?.preset === 'advanced'
+    ? entry.preset
+    : DEFAULT_STYLE_SETTINGS.preset;
+  return { site, preset };
+}
+
+// 保存された設定にデフォルト値を補完
+function mergeStyleSettings(stored) {
+  return {
+    mode: STYLE_MODES.includes(stored?.mode) ? stored.mode : DEFAULT_STYLE_SETTINGS.mode,
+    preset: STYLE_PRESETS.includes(stored?.preset) ? stored.preset : DEFAULT_STYLE_SETTINGS.preset,
+    options: mergeStyleOptions(stored?.options),
+    sitePresets: Array.isArray(stored?.sitePresets)
+      ? stored.sitePresets.map(sanitizeSitePreset).filter(entry => entry.site)
+      : []
+  };
+}
+
+// #rrggbb を rgba() に変換
+function hexToRgba(color, alpha) {
+  const r = parseInt(color.slice(1, 3), 16);
+  const g = parseInt(color.slice(3, 5), 16);
+  const b = parseInt(color.slice(5, 7), 16);
+  return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+}
+
+// 最終訪問からの経過による段階ごとの強さ（display-settings.js の RECENCY_LEVELS に対応）
+// 古い訪問ほど色や不透明度を弱めて表示する
+const STYLE_RECENCY_STRENGTH = {
+  recent: 1,
+  month: 0.75,
+  year: 0.5,
+  old: 0.3
+};
+
+// ページは未訪問だが同じドメインを訪問済みのリンクの強さ（線は破線・点線で表示する）
+const STYLE_DOMAIN_STRENGTH = 0.5;
+
+// 色を強さに応じて薄くする
+function presetColor(color, strength) {
+  return strength >= 1 ? color : hexToRgba(color, Math.round(strength * 100) / 100);
+}
+
+// プリセットの1つのセレクタ分のルールを生成
+// strength: 色・不透明度の強さ（0〜1） / domain: 同じドメインのみ訪問済みのリンク用の表示にする
+function buildPresetRule(preset, selector, { color, thickness, opacity }, { strength = 1, domain = false } = {}) {
+  const lineColor = presetColor(color, strength);
+  const lineThickness = domain ? 1 : thickness;
+  const round = value => Math.round(value * 100) / 100;
+
+  switch (preset) {
+    case 'border':
+      return `${selector} {
+  border: ${lineThickness}px ${domain ? 'dashed' : 'solid'} ${lineColor} !important;
+  border-radius: 3px !important;
+  padding: 1px 3px !important;
+}`;
+    case 'underline':
+      return `${selector} {
+  text-decoration-line: underline !important;
+  text-decoration-style: ${domain ? 'dotted' : 'solid'} !important;
+  text-decoration-color: ${lineColor} !important;
+  text-decoration-thickness: ${lineThickness}px !important;
+  text-underline-offset: 2px !important;
+}`;
+    case 'dimmed':
+      // 強さが弱いほど元の濃さに近づける
+      return `${selector} {
+  opacity: ${round(1 - (1 - opacity) * strength)} !important;
+}`;
+    case 'strikethrough':
+      return `${selector} {
+  text-decoration-line: line-through !important;
+  text-decoration-style: ${domain ? 'dotted' : 'solid'} !important;
+  text-decoration-color: ${lineColor} !important;
+  text-decoration-thickness: ${lineThickness}px !important;
+}`;
+    case 'badge':
+      return `${selector}::before {
+  content: "${domain ? '\\25E6' : '\\2713'}" !important;
+  margin-right: 0.25em !important;
+  color: ${color} !important;
+  font-size: 0.85em !important;
+  opacity: ${round(opacity * strength)} !important;
+}`;
+    case 'background':
+      return `${selector} {
+  background-color: ${hexToRgba(color, round(opacity * strength))} !important;
+  border-radius: 3px !important;
+}`;
+    default:
+      return '';
+  }
+}
+
+// プリセットとフォームの設定からCSSを生成
+// 訪問済みリンクに加え、経過による段階のクラスと同じドメインのみ訪問済みのクラスのルールも生成する
+function buildPresetCss(preset, options) {
+  const merged = mergeStyleOptions(options);
+  const selector = 'a.extension-perma-recalled';
+  const rules = [buildPresetRule(preset, selector, merged)];
+
+  Object.entries(STYLE_RECENCY_STRENGTH).forEach(([level, strength]) => {
+    if (strength < 1) {
+      rules.push(buildPresetRule(preset, `${selector}-${level}`, merged, { strength }));
+    }
+  });
+  rules.push(buildPresetRule(preset, `${selector}-domain`, merged, { strength: STYLE_DOMAIN_STRENGTH, domain: true }));
+
+  return rules.filter(rule => rule).join('\n\n');
+}
+
+// ページに適用するCSSを決定（サイト別プリセット > 全体の設定）
+function resolvePageCss(pageUrl, settings, customCss) {
+  const styleSettings = settings || DEFAULT_STYLE_SETTINGS;
+  const sitePreset = styleSettings.sitePresets.find(entry => matchesSitePattern(pageUrl, entry.site));
+  const preset = sitePreset
+    ? sitePreset.preset
+    : (styleSettings.mode === 'preset' ? styleSettings.preset : 'advanced');
+
+  return preset === 'advanced'
+    ? customCss || ''
+    : buildPresetCss(preset, styleSettings.options);
+}
@@ -0,0 +1,194 @@
+// URL正規化ルールエンジン
+// background.js（importScripts）、content.js（content_scripts）、popup.js（scriptタグ）で共有
+
+// chrome.storage.local の保存キー
+const URL_RULES_STORAGE_KEY = 'urlRules';
+
+// トラッキング用のクエリパラメータ（末尾の * は前方一致）
+const TRACKING_PARAMS = [
+  'utm_*',
+  'fbclid',
+  'gclid',
+  'dclid',
+  'msclkid',
+  'yclid',
+  'igshid',
+  'mc_cid',
+  'mc_eid',
+  '_ga',
+  '_hsenc',
+  '_hsmi',
+  'ref',
+  'ref_src'
+];
+
+// 組み込みプリセット（ポップアップでの表示順）
+const URL_RULE_PRESETS = [
+  'ignoreProtocol',
+  'stripWww',
+  'stripTrailingSlash',
+  'stripFragment',
+  'stripTrackingParams',
+  'sortQueryParams'
+];
+
+// デフォルトの正規化ルール
+const DEFAULT_URL_RULES = {
+  presets: {
+    ignoreProtocol: true,
+    stripWww: true,
+    stripTrailingSlash: true,
+    stripFragment: true,
+    stripTrackingParams: true,
+    sortQueryParams: false
+  },
+  customRules: []
+};
+
+// ドメイン別カスタムルールを整形
+// { domain, removeParams: string[], stripQuery: boolean, keepFragment: boolean }
+function sanitizeCustomRule(rule) {
+  const domain = String(rule?.domain || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^\*?\./, '');
+
+  const removeParams = (Array.isArray(rule?.removeParams) ? rule.removeParams : String(rule?.removeParams || '').split(','))
+    .map(param => String(param).trim())
+    .filter(param => param);
+
+  return {
+    domain,
+    removeParams,
+    stripQuery: !!rule?.stripQuery,
+    keepFragment: !!rule?.keepFragment
+  };
+}
+
+// 保存されたルールにデフォルト値を補完
+function mergeUrlRules(stored) {
+  const presets = { ...DEFAULT_URL_RULES.presets };
+  if (stored?.presets) {
+    URL_RULE_PRESETS.forEach(id => {
+      if (typeof stored.presets[id] === 'boolean') {
+        presets[id] = stored.presets[id];
+      }
+    });
+  }
+
+  const customRules = Array.isArray(stored?.customRules)
+    ? stored.customRules.map(sanitizeCustomRule).filter(rule => rule.domain)
+    : [];
+
+  return { presets, customRules };
+}
+
+// ルールの比較用シグネチャ（移行が必要かどうかの判定に使用）
+function getUrlRulesSignature(rules) {
+  return JSON.stringify(mergeUrlRules(rules));
+}
+
+// URLのホスト名を取得（ドメイン単位の判定・インデックス用）
+function getUrlDomain(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (e) {
+    return '';
+  }
+}
+
+// ホスト名がドメイン（サブドメインを含む）に一致するか
+function matchesDomain(hostname, domain) {
+  return hostname === domain || hostname.endsWith('.' + domain);
+}
+
+// ホスト名に適用するカスタムルールを検索（最も具体的なドメインを優先）
+function findCustomRule(hostname, customRules) {
+  let matched = null;
+  customRules.forEach(rule => {
+    if (matchesDomain(hostname, rule.domain) &&
+        (!matched || rule.domain.length > matched.domain.length)) {
+      matched = rule;
+    }
+  });
+  return matched;
+}
+
+// パラメータ名がパターンに一致するか
+function matchesParamPattern(name, patterns) {
+  const lowerName = name.toLowerCase();
+  return patterns.some(pattern => {
+    const lowerPattern = pattern.toLowerCase();
+    if (lowerPattern.endsWith('*')) {
+      return lowerName.startsWith(lowerPattern.slice(0, -1));
+    }
+    return lowerName === lowerPattern;
+  });
+}
+
+// URLに正規化ルールを適用
+// 同じURLに何度適用しても結果が変わらない（冪等）ことを前提に、保存キーとして使用する
+function applyUrlRules(url, rules) {
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch (e) {
+    return url;
+  }
+
+  // http(s)以外のURLはそのまま
+  if (urlObj.protocol !== 'http:' && urlObj.protocol !== 'https:') {
+    return urlObj.href;
+  }
+
+  const { presets, customRules } = rules || DEFAULT_URL_RULES;
+  const customRule = findCustomRule(urlObj.hostname, customRules);
+
+  if (presets.ignoreProtocol) {
+    urlObj.protocol = 'https:';
+  }
+
+  if (presets.stripWww && urlObj.hostname.startsWith('www.')) {
+    urlObj.hostname = urlObj.hostname.slice(4);
+  }
+
+  if (customRule?.stripQuery) {
+    urlObj.search = '';
+  } else {
+    const removePatterns = [];
+    if (presets.stripTrackingParams) {
+      removePatterns.push(...TRACKING_PARAMS);
+    }
+    if (customRule) {
+      removePatterns.push(...customRule.removeParams);
+    }
+
+    // 削除対象がある場合のみ書き換え（クエリの再エンコードを最小限にする）
+    if (removePatterns.length > 0) {
+      const keys = [...new Set(urlObj.searchParams.keys())];
+      keys
+        .filter(key => matchesParamPattern(key, removePatterns))
+        .forEach(key => urlObj.searchParams.delete(key));
+    }
+
+    if (presets.sortQueryParams && urlObj.search) {
+      urlObj.searchParams.sort();
+    }
+  }
+
+  if (presets.stripFragment && !customRule?.keepFragment) {
+    urlObj.hash = '';
+  }
+
+  if (presets.stripTrailingSlash && urlObj.pathname.length > 1 && urlObj.pathname.endsWith('/')) {
+    urlObj.pathname = urlObj.pathname.replace(/\/+$/, '') || '/';
+  }
+
+  return urlObj.href;
+}
+
+// 保存されたルールを読み込み
+async function loadUrlRules() {
+  const result = await chrome.storage.local.get([URL_RULES_STORAGE_KEY]);
+  return mergeUrlRules(result[URL_RULES_STORAGE_KEY]);
+}
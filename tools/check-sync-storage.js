@@ -0,0 +1,106 @@
+// 端末間の同期（chrome.storage.sync のバックエンド）の動作確認（開発者向け）
+// device-sync-backends.js をメモリ上の chrome.storage.sync で読み込み、アイテムの書き込みと削除を確認する
+//
+// 使い方: node tools/check-sync-storage.js
+// 確認に失敗した場合は終了コード 1 で終了する
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// メモリ上の chrome.storage.sync（端末間で共有する）
+function createSyncStorage() {
+  const data = {};
+  return {
+    data,
+    async get(keys) {
+      return keys === null ? structuredClone(data) : {};
+    },
+    async set(items) {
+      Object.assign(data, structuredClone(items));
+    },
+    async remove(keys) {
+      [].concat(keys).forEach(key => delete data[key]);
+    }
+  };
+}
+
+// device-sync-backends.js を読み込んだ端末を作成
+function createDevice(deviceId, storage) {
+  const context = vm.createContext({ chrome: { storage: { sync: storage } }, Date, Math, JSON, Number, Object });
+  const source = fs.readFileSync(path.join(__dirname, '..', 'src', 'device-sync-backends.js'), 'utf8');
+  vm.runInContext(`${source}\nthis.backend = storageSyncBackend;`, context);
+
+  const state = {};
+  return {
+    push: entries => context.backend.push(entries, { deviceId, state }),
+    pull: () => context.backend.pull({ deviceId, state })
+  };
+}
+
+// 1アイテムに収まる差分
+function createEntries(round) {
+  const now = Date.now();
+  return [{ key: `digest-${round}`, firstVisit: now, lastVisit: now, count: 1 }];
+}
+
+// 端末のアイテム数
+function countItems(storage, deviceId) {
+  return Object.keys(storage.data).filter(key => key.startsWith(`prl:${deviceId}:`)).length;
+}
+
+const checks = {
+  // 他の端末がない場合は、古いアイテムを削除して5件目以降も書き込む
+  async 'writes past the item limit without peers'() {
+    const storage = createSyncStorage();
+    const device = createDevice('a', storage);
+    for (let round = 1; round <= 6; round++) {
+      assert.strictEqual(await device.push(createEntries(round)), 1, `push ${round}`);
+    }
+    assert.strictEqual(countItems(storage, 'a'), 4);
+  },
+
+  // 他の端末が読み込むまでは削除せず、読み込んだ後に書き込む
+  async 'waits until a peer has pulled'() {
+    const storage = createSyncStorage();
+    const a = createDevice('a', storage);
+    const b = createDevice('b', storage);
+    await b.pull();
+    for (let round = 1; round <= 4; round++) {
+      assert.strictEqual(await a.push(createEntries(round)), 1, `push ${round}`);
+    }
+    assert.strictEqual(await a.push(createEntries(5)), 0, 'push before the peer pulls');
+
+    const deltas = await b.pull();
+    assert.strictEqual(deltas.length, 4);
+    assert.strictEqual(await a.push(createEntries(5)), 1, 'push after the peer pulls');
+  },
+
+  // 7日以上同期していない端末の読み込みは待たない
+  async 'does not wait for idle peers'() {
+    const storage = createSyncStorage();
+    const a = createDevice('a', storage);
+    for (let round = 1; round <= 4; round++) {
+      await a.push(createEntries(round));
+    }
+    storage.data['prl-ack:b'] = { t: Date.now() - 8 * DAY, c: {} };
+    assert.strictEqual(await a.push(createEntries(5)), 1);
+  }
+};
+
+(async () => {
+  let failed = 0;
+  for (const [name, check] of Object.entries(checks)) {
+    try {
+      await check();
+      console.log(`ok - ${name}`);
+    } catch (error) {
+      failed++;
+      console.log(`not ok - ${name}\n  ${error.message}`);
+    }
+  }
+  process.exitCode = failed > 0 ? 1 : 0;
+})();
@@ -0,0 +1,128 @@
+// 端末間の同期（WebDAV / HTTPサーバー）のテスト用サーバー（開発者向け）
+// 同期に使う GET / PUT / MKCOL と ETag による条件付きの書き込みだけを、メモリ上のファイルで実装する
+//
+// 使い方: node tools/sync-test-server.js [ポート番号]
+//   SYNC_TEST_USER / SYNC_TEST_PASSWORD を指定するとBasic認証を要求する
+//   SYNC_TEST_FAIL にステータスコード（例: 503）を指定すると、すべてのリクエストをそのステータスで失敗させる
+// 保存した内容はサーバーを終了すると消える
+
+const http = require('http');
+
+const port = parseInt(process.argv[2] || process.env.PORT, 10) || 8787;
+const username = process.env.SYNC_TEST_USER || '';
+const password = process.env.SYNC_TEST_PASSWORD || '';
+const failStatus = parseInt(process.env.SYNC_TEST_FAIL, 10) || 0;
+
+// パス（先頭の / を除く）→ { body, etag }、フォルダはパスの末尾の / を除いて管理
+const files = new Map();
+const collections = new Set(['']);
+let nextEtag = 1;
+
+// リクエストのパスを正規化（先頭・末尾の / を除く）
+function normalizePath(url) {
+  const pathname = decodeURIComponent(new URL(url, 'http://localhost').pathname);
+  return pathname.replace(/^\/+/, '').replace(/\/+$/, '');
+}
+
+// 親フォルダのパス
+function parentPath(path) {
+  return path.split('/').slice(0, -1).join('/');
+}
+
+// Basic認証の確認（ユーザー名・パスワードが未指定の場合は常に許可）
+function isAuthorized(req) {
+  if (!username && !password) {
+    return true;
+  }
+  const expected = 'Basic ' + Buffer.from(`${username}:${password}`).toString('base64');
+  return req.headers.authorization === expected;
+}
+
+// リクエストの本文を読み込み
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+// レスポンスを返す
+function respond(res, status, body = '', headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8', ...headers });
+  res.end(body);
+}
+
+// 各メソッドの処理
+async function handleRequest(req, res) {
+  const path = normalizePath(req.url);
+
+  if (failStatus) {
+    return respond(res, failStatus);
+  }
+  if (!isAuthorized(req)) {
+    return respond(res, 401, '', { 'WWW-Authenticate': 'Basic realm="perma-recall-sync-test"' });
+  }
+
+  if (req.method === 'GET') {
+    const file = files.get(path);
+    if (!file) {
+      return respond(res, 404);
+    }
+    return respond(res, 200, file.body, { 'Content-Type': 'application/json', ETag: file.etag });
+  }
+
+  if (req.method === 'MKCOL') {
+    if (collections.has(path) || files.has(path)) {
+      return respond(res, 405);
+    }
+    if (!collections.has(parentPath(path))) {
+      return respond(res, 409);
+    }
+    collections.add(path);
+    return respond(res, 201);
+  }
+
+  if (req.method === 'PUT') {
+    const body = await readBody(req);
+    if (!collections.has(parentPath(path)) || collections.has(path)) {
+      return respond(res, 409);
+    }
+
+    // 条件付きの書き込み（If-None-Match: * は新規作成のみ、If-Match は ETag が一致する場合のみ）
+    const file = files.get(path);
+    const ifNoneMatch = req.headers['if-none-match'];
+    const ifMatch = req.headers['if-match'];
+    if (ifNoneMatch === '*' && file) {
+      return respond(res, 412);
+    }
+    if (ifMatch && (!file || (ifMatch !== '*' && ifMatch !== file.etag))) {
+      return respond(res, 412);
+    }
+
+    const etag = `"${nextEtag++}"`;
+    files.set(path, { body, etag });
+    return respond(res, file ? 204 : 201, '', { ETag: etag });
+  }
+
+  return respond(res, 405, '', { Allow: 'GET, PUT, MKCOL' });
+}
+
+const server = http.createServer((req, res) => {
+  handleRequest(req, res)
+    .then(() => console.log(`${req.method} ${req.url} ${res.statusCode}`))
+    .catch(error => {
+      console.error(`${req.method} ${req.url}`, error);
+      if (!res.headersSent) {
+        respond(res, 500);
+      }
+    });
+});
+
+server.listen(port, '127.0.0.1', () => {
+  console.log(`Sync test server: http://127.0.0.1:${port}/`);
+  if (username || password) {
+    console.log(`Basic auth: ${username}`);
+  }
+});